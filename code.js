@@ -13,14 +13,14 @@ figma.ui.onmessage = async (msg) => {
   if (msg.type === 'clear-list') {
     clearFrameList();
   } else if (msg.type === 'export-pdf') {
-    await exportToPDF(msg.frameOrder, msg.selectedFrames, msg.qualityScale || 1.5, msg.quality || 'high', msg.exportType || 'raster');
+    await exportToPDF(msg.frameOrder, msg.selectedFrames, msg.qualityScale || 1.5, msg.quality || 'high', msg.exportType || 'raster', msg.frameStrategies || {}, msg.print || null, msg.tagged === true);
   } else if (msg.type === 'export-batch') {
     // Export a specific batch
     const batch = msg.batch;
     const batchFrames = frameData.filter(frame => batch.frameIds.includes(frame.id));
     const orderedBatchFrames = batch.frameIds.map(id => batchFrames.find(f => f.id === id)).filter(Boolean);
 
-    await performExport(
+    await runCancellableExport(() => performExport(
       orderedBatchFrames,
       batch.frameIds,
       batch.frameIds,
@@ -30,21 +30,392 @@ figma.ui.onmessage = async (msg) => {
         current: msg.batchNumber,
         total: msg.totalBatches
       },
-      msg.exportType || 'raster'
-    );
+      msg.exportType || 'raster',
+      msg.tagged === true
+    ));
   } else if (msg.type === 'request-png-fallback') {
     // UI requested PNG fallback for a specific frame that failed validation
     await handlePngFallbackRequest(msg.frameId, msg.frameIndex, msg.qualityScale || 1.5);
+  } else if (msg.type === 'save-export-setup') {
+    await saveExportSetup(msg.setup || {});
+  } else if (msg.type === 'remove-frame') {
+    removeFrameFromList(msg.frameId);
+  } else if (msg.type === 'save-preset') {
+    savePreset(msg.preset);
+  } else if (msg.type === 'delete-preset') {
+    deletePreset(msg.name);
+  } else if (msg.type === 'apply-preset') {
+    await applyPreset(msg.name);
+  } else if (msg.type === 'save-theme') {
+    await figma.clientStorage.setAsync(THEME_STORAGE_KEY, msg.theme);
+  } else if (msg.type === 'add-frames') {
+    await addFramesById(msg.frameIds || []);
+  } else if (msg.type === 'run-preflight') {
+    await runPreflight(msg.frameIds || [], msg.frameStrategies || {});
+  } else if (msg.type === 'tag-layers') {
+    tagSelectedLayers(msg.mode);
+  } else if (msg.type === 'reveal-node') {
+    await revealNode(msg.nodeId);
   } else if (msg.type === 'cancel') {
-    figma.closePlugin();
+    requestExportCancel();
+  } else if (msg.type === 'vector-frame-ack') {
+    acknowledgeMergeFrame(msg.frameId);
+  } else if (msg.type === 'vector-merge-failed') {
+    abortExportFromUi(msg.message);
   }
 };
 
+// ============================================================================
+// EXPORT CANCELLATION - the UI's Cancel button sets a flag checked between frames and segments
+// ============================================================================
+
+let exportInProgress = false;
+let exportCancelRequested = false;
+// Set when the UI stopped the export after a failure it has already reported
+let exportAbortedByUi = false;
+
+async function runCancellableExport(task) {
+  exportInProgress = true;
+  exportCancelRequested = false;
+  exportAbortedByUi = false;
+  try {
+    return await task();
+  } finally {
+    exportInProgress = false;
+    exportCancelRequested = false;
+    exportAbortedByUi = false;
+  }
+}
+
+function requestExportCancel() {
+  if (!exportInProgress) {
+    // Nothing running (or already handed to the UI) - just acknowledge
+    figma.ui.postMessage({ type: 'export-cancelled', message: 'Export cancelled' });
+    return;
+  }
+  console.log('Cancel requested - stopping after the current frame or segment');
+  exportCancelRequested = true;
+  wakeMergeWaiters();
+}
+
+// The UI couldn't append a frame to the PDF: stop the same way as a cancel
+function abortExportFromUi(message) {
+  if (!exportInProgress) return;
+  console.log('UI could not merge the export, stopping: ' + message);
+  exportAbortedByUi = true;
+  exportCancelRequested = true;
+  wakeMergeWaiters();
+}
+
+function reportExportCancelled(completed, total) {
+  console.log(`Export cancelled after ${completed}/${total} frames`);
+  // The UI already shows why it stopped the export
+  if (exportAbortedByUi) return;
+  figma.ui.postMessage({
+    type: 'export-cancelled',
+    message: `Export cancelled (${completed} of ${total} frames processed)`
+  });
+}
+
+// ============================================================================
+// VECTOR MERGE BACK-PRESSURE - frames streamed to the UI count against a byte window until
+// the UI acknowledges them as appended, so neither side holds the whole export at once
+// ============================================================================
+
+const MERGE_WINDOW_BYTES = 20 * 1024 * 1024;
+const MERGE_ACK_TIMEOUT = 120000;
+
+// Frame id -> bytes posted and not yet acknowledged
+const mergeFramesInFlight = new Map();
+let mergeAckWaiters = [];
+
+function getMergeBytesInFlight() {
+  let total = 0;
+  mergeFramesInFlight.forEach(bytes => { total += bytes; });
+  return total;
+}
+
+function wakeMergeWaiters() {
+  const waiters = mergeAckWaiters;
+  mergeAckWaiters = [];
+  waiters.forEach(wake => wake());
+}
+
+function postMergeFrame(message, frameId, bytes) {
+  mergeFramesInFlight.set(frameId, bytes);
+  figma.ui.postMessage(message);
+}
+
+// The UI has appended the frame and let go of its data
+function acknowledgeMergeFrame(frameId) {
+  mergeFramesInFlight.delete(frameId);
+  wakeMergeWaiters();
+}
+
+function resetMergeWindow() {
+  mergeFramesInFlight.clear();
+  wakeMergeWaiters();
+}
+
+// Resolves once the unacknowledged bytes fit the window again (a frame bigger than the window
+// waits until it is acknowledged), or when the export is cancelled
+async function waitForMergeWindow() {
+  while (getMergeBytesInFlight() > MERGE_WINDOW_BYTES && !exportCancelRequested) {
+    const acknowledged = await new Promise((resolve) => {
+      const timeout = setTimeout(() => resolve(false), MERGE_ACK_TIMEOUT);
+      mergeAckWaiters.push(() => {
+        clearTimeout(timeout);
+        resolve(true);
+      });
+    });
+    if (!acknowledged) {
+      throw new Error(`PDF merge stalled: no page appended for ${MERGE_ACK_TIMEOUT / 1000}s`);
+    }
+  }
+}
+
+// ============================================================================
+// PERSISTENCE - export setup per document, theme and defaults per user
+// ============================================================================
+
+// Document pluginData key holding the export list, order and settings
+const EXPORT_SETUP_KEY = 'exportSetup';
+// Document pluginData key holding named export presets shared with everyone on the file
+const PRESETS_KEY = 'exportPresets';
+// clientStorage keys (per user, across documents)
+const THEME_STORAGE_KEY = 'theme';
+const DEFAULTS_STORAGE_KEY = 'exportDefaults';
+
+function readExportSetup() {
+  try {
+    const raw = figma.root.getPluginData(EXPORT_SETUP_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error('Could not read saved export setup:', error);
+    return null;
+  }
+}
+
+function writeExportSetup(setup) {
+  figma.root.setPluginData(EXPORT_SETUP_KEY, JSON.stringify(setup));
+}
+
+// Store the UI's export setup and keep the plugin-side frame order in sync with it
+async function saveExportSetup(setup) {
+  if (Array.isArray(setup.frameOrder)) {
+    const orderIndex = (id) => {
+      const index = setup.frameOrder.indexOf(id);
+      return index === -1 ? setup.frameOrder.length : index;
+    };
+    frameData.sort((a, b) => orderIndex(a.id) - orderIndex(b.id));
+  }
+
+  writeExportSetup(Object.assign({}, setup, { frameOrder: frameData.map(f => f.id) }));
+
+  await figma.clientStorage.setAsync(DEFAULTS_STORAGE_KEY, {
+    quality: setup.quality,
+    exportType: setup.exportType,
+    options: setup.options
+  });
+}
+
+// Persist list membership changes made in the UI (add/remove/clear) without touching the UI
+// settings. Frames added by selecting them in Figma aren't saved until the list is next
+// changed or exported from the UI, so selecting things doesn't edit the document.
+function persistFrameList() {
+  const setup = readExportSetup() || {};
+  setup.frameOrder = frameData.map(f => f.id);
+  writeExportSetup(setup);
+}
+
+function readPresets() {
+  try {
+    const raw = figma.root.getPluginData(PRESETS_KEY);
+    const presets = raw ? JSON.parse(raw) : [];
+    return Array.isArray(presets) ? presets : [];
+  } catch (error) {
+    console.error('Could not read export presets:', error);
+    return [];
+  }
+}
+
+function postPresets() {
+  figma.ui.postMessage({
+    type: 'presets-updated',
+    presets: readPresets().map(preset => ({
+      name: preset.name,
+      frameCount: Array.isArray(preset.frameOrder) ? preset.frameOrder.length : 0
+    }))
+  });
+}
+
+// Save (or overwrite by name) a preset built from the UI's current export setup
+function savePreset(preset) {
+  if (!preset || !preset.name) return;
+
+  const presets = readPresets().filter(p => p.name !== preset.name);
+  presets.push(preset);
+  presets.sort((a, b) => a.name.localeCompare(b.name));
+  figma.root.setPluginData(PRESETS_KEY, JSON.stringify(presets));
+  postPresets();
+}
+
+function deletePreset(name) {
+  const presets = readPresets().filter(p => p.name !== name);
+  figma.root.setPluginData(PRESETS_KEY, JSON.stringify(presets));
+  postPresets();
+}
+
+// Replace the export list and settings with a saved preset
+async function applyPreset(name) {
+  const preset = readPresets().find(p => p.name === name);
+  if (!preset) {
+    figma.ui.postMessage({ type: 'error', message: 'Preset "' + name + '" not found' });
+    return;
+  }
+
+  const frameIds = Array.isArray(preset.frameOrder) ? preset.frameOrder : [];
+  const nodes = [];
+  for (const id of frameIds) {
+    const node = await figma.getNodeByIdAsync(id);
+    if (isExportableNode(node)) {
+      nodes.push(node);
+    }
+  }
+
+  frameData = [];
+  connections = [];
+
+  figma.ui.postMessage({ type: 'restore-export-setup', setup: preset });
+  await autoAddSelectedFrames(nodes);
+
+  const setup = Object.assign({}, preset, { frameOrder: frameData.map(f => f.id) });
+  delete setup.name;
+  writeExportSetup(setup);
+
+  const missing = frameIds.length - nodes.length;
+  figma.ui.postMessage({
+    type: missing > 0 ? 'warning' : 'preset-applied',
+    message: 'Applied preset "' + preset.name + '" (' + nodes.length + ' frame' + (nodes.length !== 1 ? 's' : '') + ')' +
+      (missing > 0 ? ' - ' + missing + ' frame' + (missing !== 1 ? 's' : '') + ' no longer exist' : '')
+  });
+}
+
+// File, page and user names used for output filenames and PDF metadata
+function postDocumentInfo() {
+  figma.ui.postMessage({
+    type: 'document-info',
+    fileName: figma.root.name,
+    pageName: figma.currentPage.name,
+    userName: figma.currentUser ? figma.currentUser.name : ''
+  });
+}
+
+// Restore theme, saved export setup (or the user's defaults) and the saved frame list
+async function initializePlugin() {
+  postDocumentInfo();
+
+  // Must run before anything reads the document for export
+  const recoveryMessage = await recoverInterruptedExport();
+
+  try {
+    const theme = await figma.clientStorage.getAsync(THEME_STORAGE_KEY);
+    if (theme) {
+      figma.ui.postMessage({ type: 'restore-theme', theme: theme });
+    }
+
+    const setup = readExportSetup();
+    const defaults = await figma.clientStorage.getAsync(DEFAULTS_STORAGE_KEY);
+    const settings = setup || defaults;
+    if (settings) {
+      figma.ui.postMessage({ type: 'restore-export-setup', setup: settings });
+    }
+
+    if (setup && Array.isArray(setup.frameOrder) && setup.frameOrder.length > 0) {
+      const restored = [];
+      for (const id of setup.frameOrder) {
+        const node = await figma.getNodeByIdAsync(id);
+        if (isExportableNode(node)) {
+          restored.push(node);
+        }
+      }
+
+      if (restored.length > 0) {
+        await autoAddSelectedFrames(restored);
+        console.log('Restored ' + restored.length + ' frames from saved export setup');
+      }
+    }
+  } catch (error) {
+    console.error('Could not restore saved export setup:', error);
+  }
+
+  postPresets();
+
+  figma.ui.postMessage({
+    type: 'plugin-ready',
+    message: frameData.length > 0
+      ? 'Restored ' + frameData.length + ' frame' + (frameData.length !== 1 ? 's' : '') + ' from the last export'
+      : 'Select frames, sections or components in Figma to add them to the export list'
+  });
+
+  if (recoveryMessage) {
+    figma.ui.postMessage({ type: 'warning', message: recoveryMessage });
+  }
+}
+
+// Node types that can be exported as PDF pages
+const EXPORTABLE_NODE_TYPES = ['FRAME', 'SECTION', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE'];
+
+function isExportableNode(node) {
+  return !!node && EXPORTABLE_NODE_TYPES.includes(node.type);
+}
+
+// Sort nodes top-to-bottom, then left-to-right (canvas reading order)
+function sortByCanvasOrder(nodes) {
+  return nodes.slice().sort((a, b) => {
+    if (a.y !== b.y) return a.y - b.y;
+    return a.x - b.x;
+  });
+}
+
+// Expand the selection into exportable pages. A selected SECTION contributes its
+// exportable children in canvas order (nested sections are expanded the same way);
+// a section without any exportable children is exported as a page itself.
+function expandSelectionToPages(nodes) {
+  const pages = [];
+
+  for (const node of nodes) {
+    if (node.type === 'SECTION') {
+      const children = sortByCanvasOrder((node.children || []).filter(isExportableNode));
+      if (children.length > 0) {
+        pages.push(...expandSelectionToPages(children));
+      } else {
+        pages.push(node);
+      }
+    } else if (isExportableNode(node)) {
+      pages.push(node);
+    }
+  }
+
+  return pages.filter((node, index) => pages.findIndex(other => other.id === node.id) === index);
+}
+
+// Keep the {page} filename token in sync with the current page
+figma.on('currentpagechange', () => {
+  postDocumentInfo();
+});
+
 // Listen for selection changes
 figma.on('selectionchange', async () => {
   console.log('Selection changed in Figma');
   const selectedNodes = figma.currentPage.selection;
-  const selectedFrames = selectedNodes.filter(node => node.type === 'FRAME');
+
+  // Layers revealed from the preflight view are not export candidates
+  if (revealedNodeId && selectedNodes.length === 1 && selectedNodes[0].id === revealedNodeId) {
+    return;
+  }
+  revealedNodeId = null;
+  const selectedFrames = expandSelectionToPages(selectedNodes);
 
   console.log('Found ' + selectedFrames.length + ' selected frames:', selectedFrames.map(f => f.name));
 
@@ -72,12 +443,16 @@ async function autoAddSelectedFrames(selectedFrames) {
     console.log('Checking frame "' + frame.name + '" (' + frame.id + '):', existingFrame ? 'already exists' : 'new frame');
 
     if (!existingFrame) {
+      const hierarchy = getFrameHierarchy(frame);
       const newFrame = {
         id: frame.id,
         name: frame.name,
         width: frame.width,
         height: frame.height,
-        parent: frame.parent ? frame.parent.name : 'Page'
+        type: frame.type,
+        parent: frame.parent ? frame.parent.name : 'Page',
+        pageName: hierarchy.pageName,
+        sectionPath: hierarchy.sectionPath
       };
 
       frameData.push(newFrame);
@@ -100,10 +475,57 @@ async function autoAddSelectedFrames(selectedFrames) {
   });
 }
 
+// Add frames by id (e.g. link targets from the link audit) as if they were selected
+async function addFramesById(frameIds) {
+  const nodes = [];
+  for (const id of frameIds) {
+    const node = await figma.getNodeByIdAsync(id);
+    if (isExportableNode(node)) {
+      nodes.push(node);
+    }
+  }
+
+  if (nodes.length === 0) {
+    figma.ui.postMessage({ type: 'warning', message: 'Target frame no longer exists' });
+    return;
+  }
+
+  await autoAddSelectedFrames(expandSelectionToPages(nodes));
+  persistFrameList();
+}
+
+// Collect the page name and enclosing section names (outermost first) for a frame,
+// used by the UI to build the PDF outline
+function getFrameHierarchy(node) {
+  const sectionPath = [];
+  let pageName = 'Page';
+  let current = node.parent;
+
+  while (current) {
+    if (current.type === 'SECTION') {
+      sectionPath.unshift(current.name);
+    } else if (current.type === 'PAGE') {
+      pageName = current.name;
+      break;
+    }
+    current = current.parent;
+  }
+
+  return { pageName, sectionPath };
+}
+
+// Remove a single frame (and the links it owns) from the list
+function removeFrameFromList(frameId) {
+  frameData = frameData.filter(f => f.id !== frameId);
+  connections = connections.filter(c => c.fromFrameId !== frameId);
+  persistFrameList();
+}
+
 // Clear the frame list
 function clearFrameList() {
   frameData = [];
   connections = [];
+  persistFrameList();
 
   figma.ui.postMessage({
     type: 'frames-updated',
@@ -121,31 +543,59 @@ async function scanNodeForConnections(node, frameId, depth) {
   // Check if this node has reactions (prototype connections)
   if (node.reactions && node.reactions.length > 0) {
     console.log(indent + 'Found ' + node.reactions.length + ' reactions on ' + node.type + ' "' + node.name + '"');
-    for (const reaction of node.reactions) {
-      if (reaction.action) {
-        if (reaction.action.type === 'NODE' && reaction.action.destinationId) {
-          // Internal frame link
-          const destinationNode = await figma.getNodeByIdAsync(reaction.action.destinationId);
-          if (destinationNode && destinationNode.type === 'FRAME') {
-            const bounds = getAbsoluteBounds(node, frameId);
-            console.log(indent + '✅ Found internal prototype link: ' + node.name + ' -> ' + destinationNode.name);
+    const bounds = getAbsoluteBounds(node, frameId);
+    if (!bounds) {
+      console.log(indent + '⚠️ Skipping links on "' + node.name + '": clipped out of view');
+    }
+
+    for (const reaction of bounds ? node.reactions : []) {
+      const actions = Array.isArray(reaction.actions) && reaction.actions.length > 0
+        ? reaction.actions
+        : (reaction.action ? [reaction.action] : []);
+
+      for (const action of actions) {
+        if (!action) continue;
+
+        if (action.type === 'NODE' && action.destinationId) {
+          // Internal link: navigate, swap, overlay or scroll-to, possibly targeting a nested node
+          const destinationNode = await figma.getNodeByIdAsync(action.destinationId);
+          const target = getLinkTarget(destinationNode);
+          if (target) {
+            console.log(indent + '✅ Found internal prototype link (' + (action.navigation || 'NAVIGATE') + '): ' + node.name + ' -> ' + destinationNode.name);
 
             connections.push({
               fromFrameId: frameId,
-              toFrameId: reaction.action.destinationId,
+              elementId: node.id,
+              toFrameId: target.toFrameId,
+              toNodeId: action.destinationId,
+              targetCandidates: target.candidates,
+              navigation: action.navigation || 'NAVIGATE',
               elementBounds: bounds,
               elementName: node.name || 'Unnamed element',
               type: 'internal'
             });
           }
-        } else if (reaction.action.type === 'URL' && reaction.action.url) {
+        } else if (action.type === 'BACK') {
+          // Back navigation - the target page is resolved at export time
+          console.log(indent + '✅ Found back navigation: ' + node.name);
+
+          connections.push({
+            fromFrameId: frameId,
+            elementId: node.id,
+            toFrameId: null,
+            navigation: 'BACK',
+            elementBounds: bounds,
+            elementName: node.name || 'Unnamed element',
+            type: 'internal'
+          });
+        } else if (action.type === 'URL' && action.url) {
           // External URL link from prototype
-          const bounds = getAbsoluteBounds(node, frameId);
-          console.log(indent + '✅ Found external prototype link: ' + node.name + ' -> ' + reaction.action.url);
+          console.log(indent + '✅ Found external prototype link: ' + node.name + ' -> ' + action.url);
 
           connections.push({
             fromFrameId: frameId,
-            toUrl: reaction.action.url,
+            elementId: node.id,
+            toUrl: action.url,
             elementBounds: bounds,
             elementName: node.name || 'Unnamed element',
             type: 'external'
@@ -182,6 +632,7 @@ async function scanNodeForConnections(node, frameId, depth) {
               for (const bounds of boundsList) {
                 connections.push({
                   fromFrameId: frameId,
+                  elementId: node.id,
                   toUrl: segment.hyperlink.value,
                   elementBounds: bounds,
                   elementName: node.name || ('Text Link: "' + (segment.characters ? segment.characters.substring(0, 20) : 'unknown') + '"'),
@@ -190,12 +641,16 @@ async function scanNodeForConnections(node, frameId, depth) {
               }
             } else if (segment.hyperlink.type === 'NODE') {
               const destinationNode = await figma.getNodeByIdAsync(segment.hyperlink.value);
-              if (destinationNode && destinationNode.type === 'FRAME') {
+              const target = getLinkTarget(destinationNode);
+              if (target) {
                 console.log(indent + '✅ Found styled text link to frame: "' + segmentLabel + '" -> ' + destinationNode.name);
                 for (const bounds of boundsList) {
                   connections.push({
                     fromFrameId: frameId,
-                    toFrameId: segment.hyperlink.value,
+                    elementId: node.id,
+                    toFrameId: target.toFrameId,
+                    toNodeId: segment.hyperlink.value,
+                    targetCandidates: target.candidates,
                     elementBounds: bounds,
                     elementName: node.name || ('Text Link: "' + (segment.characters ? segment.characters.substring(0, 20) : 'unknown') + '"'),
                     type: 'internal'
@@ -222,11 +677,14 @@ async function scanNodeForConnections(node, frameId, depth) {
 
         const bounds = getAbsoluteBounds(node, frameId);
 
-        if (node.hyperlink.type === 'URL' && node.hyperlink.value) {
+        if (!bounds) {
+          console.log(indent + '⚠️ Skipping hyperlink on "' + node.name + '": clipped out of view');
+        } else if (node.hyperlink.type === 'URL' && node.hyperlink.value) {
           const textSample = node.characters ? node.characters.substring(0, 30) : 'unknown';
           console.log(indent + '✅ Found text hyperlink: "' + textSample + '" -> ' + node.hyperlink.value);
           connections.push({
             fromFrameId: frameId,
+            elementId: node.id,
             toUrl: node.hyperlink.value,
             elementBounds: bounds,
             elementName: node.name || ('Text: "' + (node.characters ? node.characters.substring(0, 20) : 'unknown') + ((node.characters && node.characters.length > 20) ? '...' : '') + '"'),
@@ -235,12 +693,16 @@ async function scanNodeForConnections(node, frameId, depth) {
         } else if (node.hyperlink.type === 'NODE' && node.hyperlink.value) {
           // Text hyperlink to another frame
           const destinationNode = await figma.getNodeByIdAsync(node.hyperlink.value);
-          if (destinationNode && destinationNode.type === 'FRAME') {
+          const target = getLinkTarget(destinationNode);
+          if (target) {
             const textSample = node.characters ? node.characters.substring(0, 30) : 'unknown';
             console.log(indent + '✅ Found text link to frame: "' + textSample + '" -> ' + destinationNode.name);
             connections.push({
               fromFrameId: frameId,
-              toFrameId: node.hyperlink.value,
+              elementId: node.id,
+              toFrameId: target.toFrameId,
+              toNodeId: node.hyperlink.value,
+              targetCandidates: target.candidates,
               elementBounds: bounds,
               elementName: node.name || ('Text: "' + (node.characters ? node.characters.substring(0, 20) : 'unknown') + ((node.characters && node.characters.length > 20) ? '...' : '') + '"'),
               type: 'internal'
@@ -262,13 +724,204 @@ async function scanNodeForConnections(node, frameId, depth) {
   }
 }
 
-// Get absolute bounds of an element relative to its frame
+// Describe where an internal link lands. Candidates are the destination itself (if
+// exportable) and its exportable ancestors, nearest first, each with the destination's
+// y-offset inside it (null when the destination is the page itself, i.e. /Fit).
+// The nearest candidate that is actually exported is picked at export time.
+function getLinkTarget(destinationNode) {
+  if (!destinationNode) return null;
+
+  const candidates = [];
+  let current = destinationNode;
+  while (current && current.type !== 'PAGE' && current.type !== 'DOCUMENT') {
+    if (isExportableNode(current)) {
+      candidates.push({
+        id: current.id,
+        name: current.name,
+        type: current.type,
+        y: current === destinationNode ? null : getNodeOffsetToFrame(destinationNode, current.id).y
+      });
+    }
+    current = current.parent;
+  }
+
+  if (candidates.length === 0) return null;
+  return { toFrameId: candidates[0].id, candidates: candidates };
+}
+
+// Resolve internal links against the pages being exported (in export order).
+// Each link goes to the nearest exported candidate; BACK links go to the first exported
+// page that links to their page, or to the previous page when nothing links there.
+function resolveConnectionsForExport(exportedFrameIds) {
+  const resolved = [];
+
+  for (const conn of connections) {
+    if (!exportedFrameIds.includes(conn.fromFrameId)) continue;
+
+    if (conn.type === 'external') {
+      resolved.push(conn);
+      continue;
+    }
+    if (conn.navigation === 'BACK') continue;
+
+    const candidates = conn.targetCandidates || [{ id: conn.toFrameId, y: null }];
+    const target = candidates.find(candidate => exportedFrameIds.includes(candidate.id));
+    if (target) {
+      resolved.push(Object.assign({}, conn, { toFrameId: target.id, targetY: target.y }));
+    } else {
+      console.warn('Dropping link "' + conn.elementName + '": target frame is not exported');
+    }
+  }
+
+  for (const conn of connections) {
+    if (conn.navigation !== 'BACK' || !exportedFrameIds.includes(conn.fromFrameId)) continue;
+
+    const referrerId = exportedFrameIds.find(id =>
+      id !== conn.fromFrameId &&
+      resolved.some(r => r.type === 'internal' && r.fromFrameId === id && r.toFrameId === conn.fromFrameId)
+    );
+    const index = exportedFrameIds.indexOf(conn.fromFrameId);
+    const toFrameId = referrerId || (index > 0 ? exportedFrameIds[index - 1] : null);
+
+    if (toFrameId) {
+      resolved.push(Object.assign({}, conn, { toFrameId: toFrameId, targetY: null }));
+    }
+  }
+
+  return resolved;
+}
+
+// ============================================================================
+// LINK HOTSPOTS
+// ============================================================================
+// Hotspots are computed from absoluteTransform so rotation, scaling, groups and
+// auto-layout nesting all land where the element is drawn. Transforms are Figma's
+// 2x3 matrices [[a, c, tx], [b, d, ty]] mapping local (x, y) to page space.
+
+function findAncestorById(node, ancestorId) {
+  let current = node;
+  while (current) {
+    if (current.id === ancestorId) return current;
+    current = current.parent;
+  }
+  return null;
+}
+
+function applyTransform(m, x, y) {
+  return {
+    x: m[0][0] * x + m[0][1] * y + m[0][2],
+    y: m[1][0] * x + m[1][1] * y + m[1][2]
+  };
+}
+
+function invertTransform(m) {
+  const a = m[0][0], c = m[0][1], tx = m[0][2];
+  const b = m[1][0], d = m[1][1], ty = m[1][2];
+  const det = a * d - c * b;
+  if (!det) return null;
+
+  const ia = d / det, ic = -c / det;
+  const ib = -b / det, id = a / det;
+  return [
+    [ia, ic, -(ia * tx + ic * ty)],
+    [ib, id, -(ib * tx + id * ty)]
+  ];
+}
+
+// Corners (top-left, top-right, bottom-right, bottom-left) of a rect in the node's
+// local space, expressed in the frame's local space
+function localRectToFrame(node, frame, rect) {
+  const frameInverse = frame && frame.absoluteTransform ? invertTransform(frame.absoluteTransform) : null;
+  const nodeTransform = node.absoluteTransform;
+  if (!frameInverse || !nodeTransform) return null;
+
+  const corners = [
+    [rect.x, rect.y],
+    [rect.x + rect.width, rect.y],
+    [rect.x + rect.width, rect.y + rect.height],
+    [rect.x, rect.y + rect.height]
+  ];
+  return corners.map(([x, y]) => {
+    const page = applyTransform(nodeTransform, x, y);
+    return applyTransform(frameInverse, page.x, page.y);
+  });
+}
+
+function boundsOfPoints(points) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x: x, y: y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+// Axis-aligned rects have their corners on shared x/y values; anything else is rotated or skewed
+function isAxisAligned(points) {
+  const EPSILON = 0.01;
+  return Math.abs(points[0].y - points[1].y) < EPSILON && Math.abs(points[1].x - points[2].x) < EPSILON ||
+    Math.abs(points[0].x - points[1].x) < EPSILON && Math.abs(points[1].y - points[2].y) < EPSILON;
+}
+
+// Intersect with every clipping ancestor between the node and the frame
+// (the frame itself is clamped later, in the UI). Returns null when nothing is left.
+function clipToVisibleAncestors(node, frame, bounds) {
+  let result = bounds;
+  let current = node.parent;
+
+  while (current && current !== frame) {
+    if (current.clipsContent) {
+      const corners = localRectToFrame(current, frame, { x: 0, y: 0, width: current.width || 0, height: current.height || 0 });
+      if (corners) {
+        const clip = boundsOfPoints(corners);
+        const x1 = Math.max(result.x, clip.x);
+        const y1 = Math.max(result.y, clip.y);
+        const x2 = Math.min(result.x + result.width, clip.x + clip.width);
+        const y2 = Math.min(result.y + result.height, clip.y + clip.height);
+        if (x2 <= x1 || y2 <= y1) return null;
+        result = { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+      }
+    }
+    current = current.parent;
+  }
+
+  return result;
+}
+
+// Map a node-local rect to a hotspot in frame space. Rotated hotspots also carry
+// `quad` ([x1, y1, ... x4, y4], top-left origin) unless clipping cut them down.
+function getFrameHotspot(node, frameId, rect) {
+  const frame = findAncestorById(node, frameId);
+  const corners = localRectToFrame(node, frame, rect);
+  if (!corners) return null;
+
+  const bounds = boundsOfPoints(corners);
+  const visible = clipToVisibleAncestors(node, frame, bounds);
+  if (!visible) return null;
+
+  const clipped = visible.x !== bounds.x || visible.y !== bounds.y ||
+    visible.width !== bounds.width || visible.height !== bounds.height;
+  if (!clipped && !isAxisAligned(corners)) {
+    visible.quad = [].concat(...corners.map(p => [p.x, p.y]));
+  }
+  return visible;
+}
+
+// Get the bounds of an element relative to its frame, or null when a clipping
+// ancestor hides it completely
 function getAbsoluteBounds(node, frameId) {
+  const hotspot = getFrameHotspot(node, frameId, { x: 0, y: 0, width: node.width || 0, height: node.height || 0 });
+  if (hotspot) return hotspot;
+  if (node.absoluteTransform) return null;
+
+  return getSummedBounds(node, frameId);
+}
+
+// Fallback for nodes without transforms: sum x/y up the parent chain
+function getSummedBounds(node, frameId) {
   let x = 0;
   let y = 0;
   let current = node;
 
-  // Walk up the tree until we reach the frame
   while (current && current.id !== frameId) {
     x += current.x || 0;
     y += current.y || 0;
@@ -283,45 +936,37 @@ function getAbsoluteBounds(node, frameId) {
   };
 }
 
+// Top-left of the node's visual bounds inside the frame (clipping ignored: used for scroll targets)
 function getNodeOffsetToFrame(node, frameId) {
-  let x = 0;
-  let y = 0;
-  let current = node;
-
-  while (current && current.id !== frameId) {
-    x += current.x || 0;
-    y += current.y || 0;
-    current = current.parent;
+  const corners = localRectToFrame(node, findAncestorById(node, frameId), { x: 0, y: 0, width: node.width || 0, height: node.height || 0 });
+  if (corners) {
+    const bounds = boundsOfPoints(corners);
+    return { x: bounds.x, y: bounds.y };
   }
 
-  return { x, y };
+  const summed = getSummedBounds(node, frameId);
+  return { x: summed.x, y: summed.y };
 }
 
 function getTextRangeBounds(node, frameId, start, end) {
-  const fallback = [getAbsoluteBounds(node, frameId)];
-  const offset = getNodeOffsetToFrame(node, frameId);
+  const nodeBounds = getAbsoluteBounds(node, frameId);
+  const fallback = nodeBounds ? [nodeBounds] : [];
 
   try {
     if (typeof node.getRangeBounds === 'function') {
+      // Range rects are in the text node's local space
       const rangeBounds = node.getRangeBounds(start, end);
-      if (Array.isArray(rangeBounds)) {
-        const rects = rangeBounds
-          .filter(rect => rect && rect.width > 0 && rect.height > 0)
-          .map(rect => ({
-            x: offset.x + rect.x,
-            y: offset.y + rect.y,
+      const rects = (Array.isArray(rangeBounds) ? rangeBounds : [rangeBounds])
+        .filter(rect => rect && rect.width > 0 && rect.height > 0);
+      if (rects.length > 0) {
+        return rects
+          .map(rect => node.absoluteTransform ? getFrameHotspot(node, frameId, rect) : {
+            x: nodeBounds.x + rect.x,
+            y: nodeBounds.y + rect.y,
             width: rect.width,
             height: rect.height
-          }));
-        return rects.length > 0 ? rects : fallback;
-      }
-      if (rangeBounds && rangeBounds.width > 0 && rangeBounds.height > 0) {
-        return [{
-          x: offset.x + rangeBounds.x,
-          y: offset.y + rangeBounds.y,
-          width: rangeBounds.width,
-          height: rangeBounds.height
-        }];
+          })
+          .filter(Boolean);
       }
     }
   } catch (error) {
@@ -332,28 +977,260 @@ function getTextRangeBounds(node, frameId, start, end) {
 }
 
 // ============================================================================
-// HYBRID VECTOR/RASTER DETECTION - Following Figma's Engineering Approach
+// TEXT LAYER - Invisible text over rasterized pages so they stay searchable
 // ============================================================================
 
-// Effects that MUST be rasterized (cannot be represented as vectors in PDF)
-const MUST_RASTERIZE_EFFECTS = [
-  'LAYER_BLUR',
-  'BACKGROUND_BLUR'
-];
+const TEXT_LINE_BREAK = /[\n\u2028\u2029]/;
 
-// Effects that SHOULD be rasterized for best quality
-const SHOULD_RASTERIZE_EFFECTS = [
-  'DROP_SHADOW',
-  'INNER_SHADOW'
-];
+function isVisibleWithin(node, rootId) {
+  let current = node;
+  while (current && current.id !== rootId) {
+    if (current.visible === false) return false;
+    current = current.parent;
+  }
+  return true;
+}
 
-// Blend modes that may cause issues in PDF
-const PROBLEMATIC_BLEND_MODES = [
-  'MULTIPLY',
-  'SCREEN',
-  'OVERLAY',
-  'DARKEN',
-  'LIGHTEN',
+// Wrapped paragraphs come back as one rect per visual line: hand each line a share
+// of the words in proportion to its width
+function distributeTextOverRects(text, rects) {
+  if (rects.length === 1) return [{ text: text.trim(), rect: rects[0] }];
+
+  const words = text.match(/\S+\s*/g) || [];
+  const totalWidth = rects.reduce((sum, rect) => sum + rect.width, 0) || 1;
+  const runs = [];
+  let next = 0;
+
+  rects.forEach((rect, i) => {
+    const isLast = i === rects.length - 1;
+    const budget = text.length * rect.width / totalWidth;
+    let line = '';
+    while (next < words.length && (isLast || line.length === 0 || line.length + words[next].trimEnd().length <= budget)) {
+      line += words[next++];
+    }
+    if (line.trim()) runs.push({ text: line.trim(), rect: rect });
+  });
+
+  return runs;
+}
+
+// Text runs ({ text, x, y, width, height, paragraph } in frame space) for the visible
+// TEXT nodes among `nodes`, one per paragraph line
+function collectTextRuns(nodes, frameId) {
+  const runs = [];
+
+  for (const node of nodes) {
+    if (!node || node.type !== 'TEXT' || !isVisibleWithin(node, frameId)) continue;
+
+    try {
+      const characters = node.characters || '';
+      if (!characters.trim()) continue;
+
+      const paragraphs = characters.split(TEXT_LINE_BREAK);
+      // Without range bounds, share the node's box out evenly between paragraphs
+      const hasRangeBounds = typeof node.getRangeBounds === 'function';
+      const nodeBounds = hasRangeBounds ? null : getAbsoluteBounds(node, frameId);
+      if (!hasRangeBounds && !nodeBounds) continue;
+      let start = 0;
+
+      paragraphs.forEach((paragraph, p) => {
+        const end = start + paragraph.length;
+
+        if (paragraph.trim()) {
+          const lineHeight = nodeBounds ? nodeBounds.height / paragraphs.length : 0;
+          const rects = hasRangeBounds
+            ? getTextRangeBounds(node, frameId, start, end)
+            : [{ x: nodeBounds.x, y: nodeBounds.y + p * lineHeight, width: nodeBounds.width, height: lineHeight }];
+
+          for (const run of rects.length > 0 ? distributeTextOverRects(paragraph, rects) : []) {
+            runs.push({
+              text: run.text,
+              x: run.rect.x,
+              y: run.rect.y,
+              width: run.rect.width,
+              height: run.rect.height,
+              paragraph: p
+            });
+          }
+        }
+
+        start = end + 1;
+      });
+    } catch (error) {
+      console.log('Error collecting text layer for "' + node.name + '": ' + error.message);
+    }
+  }
+
+  return runs;
+}
+
+function collectFrameTextRuns(frame) {
+  try {
+    return collectTextRuns(frame.findAll(node => node.type === 'TEXT'), frame.id);
+  } catch (error) {
+    console.log('Error collecting text layer: ' + error.message);
+    return [];
+  }
+}
+
+// ============================================================================
+// ACCESSIBILITY STRUCTURE - Reading order, headings and alt text for tagged PDFs
+// ============================================================================
+
+// Minimum font sizes (px) for H1, H2 and H3 when the text style doesn't name a level
+const HEADING_FONT_SIZES = [32, 24, 18];
+const ALT_TEXT_PLUGIN_DATA_KEY = 'altText';
+// Elements whose tops are this close are read left to right as one row
+const READING_ORDER_ROW_TOLERANCE = 4;
+
+// 1-3 for headings, 0 for body text, null when the name says nothing either way
+function getHeadingLevelFromStyleName(name) {
+  const match = /(?:^|[^a-z0-9])(?:h|heading\s*)([1-6])(?![0-9])/i.exec(name);
+  if (match) return Math.min(parseInt(match[1], 10), 3);
+  if (/\b(title|display)\b/i.test(name)) return 1;
+  if (/\b(body|paragraph|caption|label)\b/i.test(name)) return 0;
+  return null;
+}
+
+function getLargestFontSize(node) {
+  if (node.fontSize !== figma.mixed) return node.fontSize || 0;
+  try {
+    return node.getStyledTextSegments(['fontSize'])
+      .reduce((largest, segment) => Math.max(largest, segment.fontSize || 0), 0);
+  } catch (error) {
+    return 0;
+  }
+}
+
+async function getTextStructureType(node) {
+  let level = null;
+
+  try {
+    if (node.textStyleId && node.textStyleId !== figma.mixed) {
+      const style = await figma.getStyleByIdAsync(node.textStyleId);
+      if (style) level = getHeadingLevelFromStyleName(style.name);
+    }
+  } catch (error) {
+    console.log('Error reading text style for "' + node.name + '": ' + error.message);
+  }
+
+  if (level === null) {
+    const fontSize = getLargestFontSize(node);
+    const index = HEADING_FONT_SIZES.findIndex(size => fontSize >= size);
+    level = index >= 0 ? index + 1 : 0;
+  }
+
+  return level > 0 ? 'H' + level : 'P';
+}
+
+function hasImageFill(node) {
+  return 'fills' in node && Array.isArray(node.fills) &&
+    node.fills.some(paint => paint && paint.type === 'IMAGE' && paint.visible !== false);
+}
+
+// Alt text set by a plugin wins over the layer description; the layer name is the last resort
+function getAltText(node) {
+  const pluginAlt = node.getPluginData(ALT_TEXT_PLUGIN_DATA_KEY).trim();
+  if (pluginAlt) return pluginAlt;
+  if ('description' in node && typeof node.description === 'string' && node.description.trim()) {
+    return node.description.trim();
+  }
+  return node.name;
+}
+
+// Structure elements of a frame in reading order (top to bottom, then left to right):
+// { type: 'H1' | 'H2' | 'H3' | 'P', text, runs } per paragraph and
+// { type: 'Figure', alt, x, y, width, height } per image fill, in frame space
+async function collectFrameStructure(frame) {
+  const elements = [];
+
+  async function visit(node) {
+    if (!node || node.visible === false) return;
+
+    if (node.type === 'TEXT') {
+      const runs = collectTextRuns([node], frame.id);
+      if (runs.length === 0) return;
+
+      const type = await getTextStructureType(node);
+      const paragraphs = new Map();
+      for (const run of runs) {
+        if (!paragraphs.has(run.paragraph)) paragraphs.set(run.paragraph, []);
+        paragraphs.get(run.paragraph).push(run);
+      }
+      for (const paragraphRuns of paragraphs.values()) {
+        elements.push({
+          type: type,
+          text: paragraphRuns.map(run => run.text).join(' '),
+          runs: paragraphRuns,
+          x: Math.min(...paragraphRuns.map(run => run.x)),
+          y: Math.min(...paragraphRuns.map(run => run.y))
+        });
+      }
+      return;
+    }
+
+    if (node !== frame && hasImageFill(node)) {
+      const bounds = getAbsoluteBounds(node, frame.id);
+      if (bounds) {
+        elements.push({
+          type: 'Figure',
+          alt: getAltText(node),
+          x: bounds.x,
+          y: bounds.y,
+          width: bounds.width,
+          height: bounds.height
+        });
+      }
+    }
+
+    if ('children' in node) {
+      for (const child of node.children) {
+        await visit(child);
+      }
+    }
+  }
+
+  try {
+    await visit(frame);
+  } catch (error) {
+    console.log('Error collecting structure for "' + frame.name + '": ' + error.message);
+  }
+
+  const rows = [];
+  for (const element of elements.sort((a, b) => a.y - b.y)) {
+    const row = rows[rows.length - 1];
+    if (row && element.y - row[0].y <= READING_ORDER_ROW_TOLERANCE) {
+      row.push(element);
+    } else {
+      rows.push([element]);
+    }
+  }
+  return rows.flatMap(row => row.sort((a, b) => a.x - b.x));
+}
+
+// ============================================================================
+// HYBRID VECTOR/RASTER DETECTION - Following Figma's Engineering Approach
+// ============================================================================
+
+// Effects that MUST be rasterized (cannot be represented as vectors in PDF)
+const MUST_RASTERIZE_EFFECTS = [
+  'LAYER_BLUR',
+  'BACKGROUND_BLUR'
+];
+
+// Effects that SHOULD be rasterized for best quality
+const SHOULD_RASTERIZE_EFFECTS = [
+  'DROP_SHADOW',
+  'INNER_SHADOW'
+];
+
+// Blend modes that may cause issues in PDF
+const PROBLEMATIC_BLEND_MODES = [
+  'MULTIPLY',
+  'SCREEN',
+  'OVERLAY',
+  'DARKEN',
+  'LIGHTEN',
   'COLOR_DODGE',
   'COLOR_BURN',
   'HARD_LIGHT',
@@ -382,7 +1259,47 @@ function nodeHasRenderableSelf(node) {
   return false;
 }
 
+// ============================================================================
+// RASTER OVERRIDES - per-layer tags stored in pluginData, per-frame choice from the UI
+// ============================================================================
+
+// Node pluginData key: 'always' or 'never' rasterize; empty means automatic
+const RASTER_OVERRIDE_KEY = 'rasterOverride';
+
+function getRasterOverride(node) {
+  if (!node || typeof node.getPluginData !== 'function') return '';
+  try {
+    return node.getPluginData(RASTER_OVERRIDE_KEY);
+  } catch (error) {
+    return '';
+  }
+}
+
+function tagSelectedLayers(mode) {
+  const selection = figma.currentPage.selection;
+  if (selection.length === 0) {
+    figma.ui.postMessage({ type: 'warning', message: 'Select one or more layers in Figma first' });
+    return;
+  }
+
+  const value = mode === 'always' || mode === 'never' ? mode : '';
+  for (const node of selection) {
+    node.setPluginData(RASTER_OVERRIDE_KEY, value);
+  }
+
+  const label = value === 'always' ? 'always rasterize' : value === 'never' ? 'never rasterize' : 'automatic';
+  console.log('Tagged ' + selection.length + ' layers as ' + label);
+  figma.ui.postMessage({
+    type: 'layers-tagged',
+    message: `${selection.length} layer${selection.length !== 1 ? 's' : ''} set to ${label}`
+  });
+}
+
 function nodeNeedsRaster(node) {
+  const override = getRasterOverride(node);
+  if (override === 'always') return true;
+  if (override === 'never') return false;
+
   if (node.effects && node.effects.length > 0) {
     for (const effect of node.effects) {
       if (effect.visible !== false && RASTERIZE_EFFECTS.includes(effect.type)) {
@@ -449,6 +1366,59 @@ function getAncestorChain(node, stopNode) {
   return ancestors;
 }
 
+// Union of the nodes' render bounds (effects included) relative to the frame, clamped to
+// it. Returns null when nothing has bounds or the crop would not save anything.
+function getSegmentBounds(frame, nodes) {
+  const frameBox = frame.absoluteBoundingBox;
+  if (!frameBox) return null;
+
+  let left = Infinity;
+  let top = Infinity;
+  let right = -Infinity;
+  let bottom = -Infinity;
+
+  for (const node of nodes) {
+    const box = node.absoluteRenderBounds || node.absoluteBoundingBox;
+    if (!box) continue;
+    left = Math.min(left, box.x - frameBox.x);
+    top = Math.min(top, box.y - frameBox.y);
+    right = Math.max(right, box.x + box.width - frameBox.x);
+    bottom = Math.max(bottom, box.y + box.height - frameBox.y);
+  }
+
+  if (left === Infinity) return null;
+
+  // One unit of padding keeps anti-aliased edges
+  left = Math.max(0, Math.floor(left) - 1);
+  top = Math.max(0, Math.floor(top) - 1);
+  right = Math.min(frameBox.width, Math.ceil(right) + 1);
+  bottom = Math.min(frameBox.height, Math.ceil(bottom) + 1);
+
+  if (right <= left || bottom <= top) return null;
+  if ((right - left) * (bottom - top) >= frameBox.width * frameBox.height * 0.9) return null;
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+function unionBounds(a, b) {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x: x,
+    y: y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y
+  };
+}
+
+// Raster segments that follow each other in z-order can share one image. Only merge when
+// the combined crop isn't much bigger than the two parts, so distant layers stay separate.
+function shouldMergeRasterSegments(previous, next) {
+  if (!previous.bounds || !next.bounds) return !previous.bounds && !next.bounds;
+  const area = (bounds) => bounds.width * bounds.height;
+  return area(unionBounds(previous.bounds, next.bounds)) <= (area(previous.bounds) + area(next.bounds)) * 1.25;
+}
+
 function buildFrameSegments(frame) {
   const segments = [];
   let currentVectorNodes = [];
@@ -465,7 +1435,16 @@ function buildFrameSegments(frame) {
 
     if (nodeNeedsRaster(node)) {
       flushVector();
-      segments.push({ type: 'raster', nodes: collectSubtreeNodes(node) });
+      const nodes = collectSubtreeNodes(node);
+      const segment = { type: 'raster', nodes: nodes, bounds: getSegmentBounds(frame, nodes) };
+      const previous = segments[segments.length - 1];
+
+      if (previous && previous.type === 'raster' && shouldMergeRasterSegments(previous, segment)) {
+        previous.nodes = previous.nodes.concat(nodes);
+        previous.bounds = previous.bounds ? getSegmentBounds(frame, previous.nodes) : null;
+      } else {
+        segments.push(segment);
+      }
       return;
     }
 
@@ -561,6 +1540,299 @@ function applySegmentState(frame, nodes, segmentNodes, state) {
     }
   }
 }
+
+// ============================================================================
+// LAYERED EXPORT SAFETY - never leave the user's layers hidden or unpainted
+// ============================================================================
+
+// Document pluginData keys holding journals of layered exports in progress. Each plugin
+// session writes its own key (user id, session id and launch time), so collaborators
+// exporting from the same file at the same time never touch each other's journals.
+const RECOVERY_JOURNAL_KEY = 'exportRecoveryJournal';
+
+// A journal from another session (another user's, or the same user's in another tab) is
+// only recovered once it is this old: no single frame's export takes that long, so its
+// session has ended without cleaning up
+const RECOVERY_JOURNAL_STALE_MS = 60 * 60 * 1000;
+
+const recoveryUserId = figma.currentUser && figma.currentUser.id ? figma.currentUser.id : 'unknown';
+const recoverySessionId = figma.currentUser && figma.currentUser.sessionId != null ? String(figma.currentUser.sessionId) : null;
+const recoverySessionKey = [
+  RECOVERY_JOURNAL_KEY,
+  recoveryUserId,
+  recoverySessionId || 'local',
+  Date.now()
+].join(':');
+
+// Segments are rendered from a temporary copy when adding a sibling can't reflow
+// anything (pages and sections) and the copy wouldn't become a new main component.
+function canExportFromClone(frame) {
+  const parentType = frame.parent ? frame.parent.type : null;
+  return (frame.type === 'FRAME' || frame.type === 'INSTANCE') &&
+         (parentType === 'PAGE' || parentType === 'SECTION');
+}
+
+function writeRecoveryJournal(journal) {
+  figma.root.setPluginData(recoverySessionKey, JSON.stringify(Object.assign({ userId: recoveryUserId }, journal)));
+}
+
+function clearRecoveryJournal() {
+  figma.root.setPluginData(recoverySessionKey, '');
+}
+
+// Journals are this session's own, left by an earlier launch of the plugin in it (a session
+// runs one plugin at a time, so that export has ended), or any other left long enough to be
+// abandoned. Journals without a known user and session go by age alone.
+function isRecoverableJournal(key, journal) {
+  if (recoveryUserId !== 'unknown' && recoverySessionId) {
+    const sessionPrefix = [RECOVERY_JOURNAL_KEY, recoveryUserId, recoverySessionId].join(':') + ':';
+    if (key.startsWith(sessionPrefix)) return true;
+  }
+  return typeof journal.startedAt === 'number' && Date.now() - journal.startedAt > RECOVERY_JOURNAL_STALE_MS;
+}
+
+// Put the export copy in a clipping frame of its own size, so a raster segment can be
+// rendered on its own by shrinking the frame to the segment's bounds (see exportWorkspaceArea).
+// Returns null when the copy is rotated or can't be moved, and it stays where it was.
+function wrapExportCopy(frame, clone) {
+  if (clone.rotation) return null;
+
+  let wrapper = null;
+  try {
+    wrapper = figma.createFrame();
+    wrapper.name = clone.name;
+    wrapper.fills = [];
+    wrapper.clipsContent = true;
+    frame.parent.appendChild(wrapper);
+    wrapper.x = frame.x;
+    wrapper.y = frame.y;
+    wrapper.resizeWithoutConstraints(frame.width, frame.height);
+    wrapper.appendChild(clone);
+    clone.x = 0;
+    clone.y = 0;
+    wrapper.locked = true;
+    return wrapper;
+  } catch (error) {
+    console.warn(`Could not wrap the copy of "${frame.name}", raster segments are exported full size:`, error);
+    if (wrapper && !wrapper.removed) {
+      if (clone.parent === wrapper) {
+        frame.parent.appendChild(clone);
+        clone.x = frame.x;
+        clone.y = frame.y;
+      }
+      wrapper.remove();
+    }
+    return null;
+  }
+}
+
+// Returns { target, wrapper, cloned, nodes, state }. The journal is written before any node is touched.
+function beginLayeredWorkspace(frame) {
+  if (canExportFromClone(frame)) {
+    try {
+      const clone = frame.clone();
+      clone.name = frame.name + ' (export copy)';
+      const wrapper = wrapExportCopy(frame, clone);
+      writeRecoveryJournal({ frameId: frame.id, cloneId: (wrapper || clone).id, startedAt: Date.now() });
+      clone.locked = true;
+
+      const nodes = collectAllNodes(clone);
+      return { target: clone, wrapper: wrapper, cloned: true, nodes: nodes, state: captureNodeState(nodes) };
+    } catch (error) {
+      console.warn(`Could not clone "${frame.name}", journaling the original layers instead:`, error);
+    }
+  }
+
+  const nodes = collectAllNodes(frame);
+  const state = captureNodeState(nodes);
+  // Nothing here may be moved, so raster segments are exported full size
+  writeRecoveryJournal({
+    frameId: frame.id,
+    startedAt: Date.now(),
+    visibility: Array.from(state.visibility.entries()),
+    fills: Array.from(state.fills.entries()),
+    strokes: Array.from(state.strokes.entries())
+  });
+  return { target: frame, wrapper: null, cloned: false, nodes: nodes, state: state };
+}
+
+// PNG of one area (frame units) of the workspace's copy: the wrapper is shrunk to the area
+// and the copy shifted so the area sits at its origin, then both are put back
+async function exportWorkspaceArea(workspace, bounds, scale) {
+  const { target, wrapper } = workspace;
+  wrapper.resizeWithoutConstraints(bounds.width, bounds.height);
+  target.x = -bounds.x;
+  target.y = -bounds.y;
+  try {
+    return await wrapper.exportAsync({
+      format: 'PNG',
+      constraint: { type: 'SCALE', value: scale }
+    });
+  } finally {
+    target.x = 0;
+    target.y = 0;
+    wrapper.resizeWithoutConstraints(target.width, target.height);
+  }
+}
+
+// The journal is only cleared once the document is back to its original state
+function endLayeredWorkspace(workspace) {
+  if (workspace.cloned) {
+    const copy = workspace.wrapper || workspace.target;
+    if (!copy.removed) {
+      copy.remove();
+    }
+  } else {
+    restoreNodeState(workspace.nodes, workspace.state);
+  }
+  clearRecoveryJournal();
+}
+
+// Undo whatever one journal records. Returns a message for the user.
+async function recoverFromJournal(journal) {
+  if (journal.cloneId) {
+    const clone = await figma.getNodeByIdAsync(journal.cloneId);
+    if (clone && !clone.removed) {
+      clone.remove();
+    }
+    console.log('Removed temporary export copy ' + journal.cloneId);
+    return 'Removed a temporary copy left behind by an interrupted export';
+  }
+
+  const state = {
+    visibility: new Map(journal.visibility || []),
+    fills: new Map(journal.fills || []),
+    strokes: new Map(journal.strokes || [])
+  };
+  const nodes = [];
+  for (const id of state.visibility.keys()) {
+    const node = await figma.getNodeByIdAsync(id);
+    if (node && !node.removed) {
+      nodes.push(node);
+    }
+  }
+
+  restoreNodeState(nodes, state);
+  console.log('Restored ' + nodes.length + ' layers from the export recovery journal');
+  return 'Restored ' + nodes.length + ' layers left modified by an interrupted export';
+}
+
+// Undo whatever exports that were closed or crashed mid-way left behind. Journals of
+// exports in other sessions that may still be running are left alone.
+// Returns a message for the user, or null when there was nothing to recover.
+async function recoverInterruptedExport() {
+  const keys = figma.root.getPluginDataKeys().filter(key =>
+    key === RECOVERY_JOURNAL_KEY || key.startsWith(RECOVERY_JOURNAL_KEY + ':')
+  );
+  const messages = [];
+
+  for (const key of keys) {
+    const raw = figma.root.getPluginData(key);
+    if (!raw) continue;
+
+    try {
+      const journal = JSON.parse(raw);
+      if (!isRecoverableJournal(key, journal)) {
+        console.log('Leaving export journal ' + key + ' alone: an export in another session may still be running');
+        continue;
+      }
+
+      messages.push(await recoverFromJournal(journal));
+      figma.root.setPluginData(key, '');
+    } catch (error) {
+      console.error('Could not recover from interrupted export:', error);
+      messages.push('An interrupted export may have left layers hidden or without fills: ' + error.message);
+    }
+  }
+
+  return messages.length > 0 ? messages.join('. ') : null;
+}
+
+// ============================================================================
+// PRINT BLEED
+// ============================================================================
+// Print mode extends each page by a bleed. The bleed is filled with the frame's
+// background colour, and with whatever the frame's children draw past its edges.
+
+// Topmost visible fill as { r, g, b } (0-1), or null when it isn't a solid colour
+function getBleedFillColor(frame) {
+  if (!('fills' in frame) || !Array.isArray(frame.fills)) return null;
+
+  for (let i = frame.fills.length - 1; i >= 0; i--) {
+    const paint = frame.fills[i];
+    if (!paint || paint.visible === false) continue;
+    if (paint.type !== 'SOLID') return null;
+    return { r: paint.color.r, g: paint.color.g, b: paint.color.b };
+  }
+  return null;
+}
+
+function hasOverflowingChildren(frame) {
+  const box = frame.absoluteBoundingBox;
+  if (!box || !('children' in frame)) return false;
+
+  return frame.children.some(child => {
+    const bounds = child.visible !== false ? child.absoluteRenderBounds : null;
+    return bounds && (
+      bounds.x < box.x || bounds.y < box.y ||
+      bounds.x + bounds.width > box.x + box.width ||
+      bounds.y + bounds.height > box.y + box.height
+    );
+  });
+}
+
+// Export the frame without clipping. Returns { pdfData, x, y, width, height } where x/y
+// is the frame's top-left inside the exported page, or null when nothing overflows.
+async function exportFrameOverflow(frame) {
+  if (!hasOverflowingChildren(frame)) return null;
+
+  let source = frame;
+  if (frame.clipsContent) {
+    // Unclipping the original would change the user's document, so only copies are unclipped
+    if (!canExportFromClone(frame)) return null;
+
+    source = frame.clone();
+    source.name = frame.name + ' (export copy)';
+    writeRecoveryJournal({ frameId: frame.id, cloneId: source.id, startedAt: Date.now() });
+    source.locked = true;
+    source.clipsContent = false;
+  }
+
+  try {
+    const frameBox = source.absoluteBoundingBox;
+    const renderBounds = source.absoluteRenderBounds;
+    if (!frameBox || !renderBounds) return null;
+
+    const pdfData = await source.exportAsync({ format: 'PDF' });
+    return {
+      pdfData: pdfData,
+      x: frameBox.x - renderBounds.x,
+      y: frameBox.y - renderBounds.y,
+      width: renderBounds.width,
+      height: renderBounds.height
+    };
+  } finally {
+    if (source !== frame) {
+      if (!source.removed) {
+        source.remove();
+      }
+      clearRecoveryJournal();
+    }
+  }
+}
+
+// Bleed content for a frame: { fill, overflow } (either may be null)
+async function exportFrameBleed(frame) {
+  let overflow = null;
+  try {
+    overflow = await exportFrameOverflow(frame);
+  } catch (error) {
+    console.warn(`Could not export overflowing content of "${frame.name}" for the bleed:`, error);
+  }
+
+  return { fill: getBleedFillColor(frame), overflow: overflow };
+}
+
 /**
  * Detailed layer analysis - determines if individual layers need rasterization
  * Following Figma's approach: keep vectors where possible, rasterize only what's needed
@@ -579,6 +1851,7 @@ async function analyzeFrameLayers(node, depth = 0, results = null) {
 
   const indent = '  '.repeat(depth);
   let layerNeedsRaster = false;
+  let layerHasCriticalEffect = false;
   const layerIssues = [];
 
   // Analyze this layer
@@ -591,7 +1864,7 @@ async function analyzeFrameLayers(node, depth = 0, results = null) {
         if (effect.visible !== false) {
           if (MUST_RASTERIZE_EFFECTS.includes(effect.type)) {
             layerNeedsRaster = true;
-            results.hasCriticalEffects = true;
+            layerHasCriticalEffect = true;
             layerIssues.push({
               type: 'CRITICAL_EFFECT',
               effect: effect.type,
@@ -631,10 +1904,34 @@ async function analyzeFrameLayers(node, depth = 0, results = null) {
       });
     }
 
+    // Layer tags win over the automatic decision
+    const override = getRasterOverride(node);
+    if (override === 'always') {
+      layerNeedsRaster = true;
+      layerIssues.push({
+        type: 'FORCED_RASTER',
+        reason: 'Tagged "always rasterize"'
+      });
+      console.log(indent + `🔴 TAGGED RASTER: "${node.name}"`);
+    } else if (override === 'never' && layerNeedsRaster) {
+      layerNeedsRaster = false;
+      layerHasCriticalEffect = false;
+      layerIssues.push({
+        type: 'FORCED_VECTOR',
+        reason: 'Tagged "never rasterize"'
+      });
+      console.log(indent + `🟢 TAGGED VECTOR: "${node.name}"`);
+    }
+
+    if (layerHasCriticalEffect) {
+      results.hasCriticalEffects = true;
+    }
+
     // Record this layer's status
     if (layerNeedsRaster) {
       results.rasterLayers++;
       results.details.push({
+        id: node.id,
         name: node.name,
         type: node.type,
         needsRaster: true,
@@ -645,6 +1942,7 @@ async function analyzeFrameLayers(node, depth = 0, results = null) {
       // Layer can be vector but has minor issues
       results.vectorLayers++;
       results.details.push({
+        id: node.id,
         name: node.name,
         type: node.type,
         needsRaster: false,
@@ -784,25 +2082,112 @@ function determineExportStrategy(issues, layerAnalysis = null) {
 }
 
 // ============================================================================
-// PDF VALIDATION
+// PREFLIGHT - predict each frame's export strategy without exporting
 // ============================================================================
 
-// Validate PDF data structure after export
-function validatePDFData(pdfData, frameName) {
-  const validationResult = {
-    isValid: true,
-    errors: [],
-    warnings: []
-  };
+// Node selected from the preflight view, ignored by the selection listener
+let revealedNodeId = null;
 
-  // Check minimum size
-  if (!pdfData || pdfData.length < 100) {
-    validationResult.isValid = false;
-    validationResult.errors.push(`PDF too small (${pdfData ? pdfData.length : 0} bytes)`);
-    return validationResult;
+// Mirrors the branch performVectorExport takes for a frame
+function predictFrameStrategy(frame, layerAnalysis, forcedStrategy) {
+  if (forcedStrategy === 'raster') return 'png';
+  if (forcedStrategy === 'vector') return 'vector';
+  if (forcedStrategy === 'hybrid') {
+    return buildFrameSegments(frame).some(segment => segment.type === 'raster') ? 'hybrid' : 'vector';
   }
+  if (layerAnalysis.rasterLayers === 0) return 'vector';
+  if (layerAnalysis.vectorLayers === 0) return 'png';
+  return buildFrameSegments(frame).some(segment => segment.type === 'raster') ? 'hybrid' : 'vector';
+}
 
-  // Check PDF header signature
+function describeLayerIssue(issue) {
+  if (issue.type === 'CRITICAL_EFFECT' || issue.type === 'SHADOW_EFFECT') {
+    return `${issue.effect}: ${issue.reason}`;
+  }
+  if (issue.type === 'BLEND_MODE') {
+    return `Blend mode ${issue.mode}: ${issue.reason}`;
+  }
+  return issue.reason;
+}
+
+async function runPreflight(frameIds, frameStrategies = {}) {
+  console.log('Running preflight for', frameIds.length, 'frames');
+  const frames = [];
+
+  for (let i = 0; i < frameIds.length; i++) {
+    const frame = await figma.getNodeByIdAsync(frameIds[i]);
+    if (!isExportableNode(frame)) continue;
+
+    figma.ui.postMessage({
+      type: 'preflight-progress',
+      message: `Analyzing ${i + 1}/${frameIds.length}: ${frame.name}`
+    });
+
+    const layerAnalysis = await analyzeFrameLayers(frame);
+    const decision = determineExportStrategy([], layerAnalysis);
+    const forcedStrategy = frameStrategies[frame.id];
+
+    frames.push({
+      id: frame.id,
+      name: frame.name,
+      strategy: predictFrameStrategy(frame, layerAnalysis, forcedStrategy),
+      reason: forcedStrategy ? `Set to ${forcedStrategy} in the export list` : decision.reason,
+      vectorLayers: layerAnalysis.vectorLayers,
+      rasterLayers: layerAnalysis.rasterLayers,
+      layers: layerAnalysis.details.map(detail => ({
+        id: detail.id,
+        name: detail.name,
+        type: detail.type,
+        needsRaster: detail.needsRaster,
+        reasons: (detail.issues || detail.warnings || []).map(describeLayerIssue)
+      }))
+    });
+  }
+
+  figma.ui.postMessage({ type: 'preflight-result', frames: frames });
+}
+
+// Select a layer and bring it into view, switching pages if needed
+async function revealNode(nodeId) {
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node || node.removed || node.type === 'DOCUMENT' || node.type === 'PAGE') {
+    figma.ui.postMessage({ type: 'warning', message: 'Layer no longer exists. Run preflight again.' });
+    return;
+  }
+
+  let page = node.parent;
+  while (page && page.type !== 'PAGE') {
+    page = page.parent;
+  }
+
+  revealedNodeId = node.id;
+  if (page && page !== figma.currentPage) {
+    await figma.setCurrentPageAsync(page);
+  }
+  figma.currentPage.selection = [node];
+  figma.viewport.scrollAndZoomIntoView([node]);
+}
+
+// ============================================================================
+// PDF VALIDATION
+// ============================================================================
+
+// Validate PDF data structure after export
+function validatePDFData(pdfData, frameName) {
+  const validationResult = {
+    isValid: true,
+    errors: [],
+    warnings: []
+  };
+
+  // Check minimum size
+  if (!pdfData || pdfData.length < 100) {
+    validationResult.isValid = false;
+    validationResult.errors.push(`PDF too small (${pdfData ? pdfData.length : 0} bytes)`);
+    return validationResult;
+  }
+
+  // Check PDF header signature
   const header = String.fromCharCode(pdfData[0], pdfData[1], pdfData[2], pdfData[3], pdfData[4]);
   if (!header.startsWith('%PDF')) {
     validationResult.isValid = false;
@@ -871,15 +2256,23 @@ function validatePDFData(pdfData, frameName) {
 // ============================================================================
 
 // Export selected frames to PDF with quality support and batch handling
-async function exportToPDF(frameOrder, selectedFrameIds, qualityScale = 1.5, qualityString = 'high', exportType = 'raster') {
+async function exportToPDF(frameOrder, selectedFrameIds, qualityScale = 1.5, qualityString = 'high', exportType = 'raster', frameStrategies = {}, printOptions = null, tagged = false) {
   try {
     const selectedFrames = frameData.filter(frame => selectedFrameIds.includes(frame.id));
     const orderedFrames = frameOrder.map(id => selectedFrames.find(frame => frame.id === id)).filter(Boolean);
 
+    // Frames forced to vector or hybrid need the vector pipeline even in rasterized mode;
+    // every other frame is then exported as PNG, just like a rasterized export
+    const forcesVector = orderedFrames.some(frame =>
+      frameStrategies[frame.id] === 'vector' || frameStrategies[frame.id] === 'hybrid'
+    );
+
     // Vector export doesn't need batching (no memory concerns for frame data)
-    if (exportType === 'vector') {
-      console.log('Starting HYBRID vector/PNG PDF export for', orderedFrames.length, 'frames at quality scale', qualityScale);
-      await performVectorExport(orderedFrames, frameOrder, selectedFrameIds, qualityScale);
+    if (exportType === 'vector' || forcesVector) {
+      const defaultStrategy = exportType === 'vector' ? null : 'raster';
+      console.log('Starting HYBRID vector/PNG PDF export for', orderedFrames.length, 'frames at quality scale', qualityScale,
+                  defaultStrategy ? '(rasterized mode with per-frame overrides)' : '');
+      await runCancellableExport(() => performVectorExport(orderedFrames, frameOrder, selectedFrameIds, qualityScale, frameStrategies, defaultStrategy, printOptions, tagged));
       return;
     }
 
@@ -971,7 +2364,7 @@ async function exportToPDF(frameOrder, selectedFrameIds, qualityScale = 1.5, qua
       return;
     }
 
-    await performExport(orderedFrames, frameOrder, selectedFrameIds, qualityScale, qualityString, null, 'raster');
+    await runCancellableExport(() => performExport(orderedFrames, frameOrder, selectedFrameIds, qualityScale, qualityString, null, 'raster', tagged));
 
   } catch (error) {
     figma.ui.postMessage({
@@ -984,10 +2377,10 @@ async function exportToPDF(frameOrder, selectedFrameIds, qualityScale = 1.5, qua
 // Perform hybrid vector/PNG PDF export with detailed layer analysis
 // Perform hybrid vector/PNG PDF export - SIMPLIFIED VERSION
 // Due to pdf-lib limitations with Figma PDFs, we export as PNG but with smart analysis
-// Perform hybrid vector/PNG PDF export with MuPDF.js
-async function performVectorExport(orderedFrames, frameOrder, selectedFrameIds, pngFallbackScale = 1.5) {
+// Perform hybrid vector/PNG PDF export merged with pdf-lib
+async function performVectorExport(orderedFrames, frameOrder, selectedFrameIds, pngFallbackScale = 1.5, frameStrategies = {}, defaultStrategy = null, printOptions = null, tagged = false) {
   console.log('═══════════════════════════════════════════════════');
-  console.log('HYBRID VECTOR/PNG EXPORT with MuPDF.js');
+  console.log('HYBRID VECTOR/PNG EXPORT merged with pdf-lib');
   console.log('  Frames:', orderedFrames.length);
   console.log('  PNG fallback quality:', pngFallbackScale + 'x');
   console.log('═══════════════════════════════════════════════════');
@@ -999,20 +2392,24 @@ async function performVectorExport(orderedFrames, frameOrder, selectedFrameIds,
     total: orderedFrames.length
   });
 
-  const exportResults = [];
   const frameAnalysis = [];
 
   // Phase 1: Detailed layer analysis
   console.log('\n--- PHASE 1: Layer-by-Layer Analysis ---');
   for (let i = 0; i < orderedFrames.length; i++) {
+    if (exportCancelRequested) {
+      reportExportCancelled(0, orderedFrames.length);
+      return;
+    }
+
     const frameInfo = orderedFrames[i];
     const frame = await figma.getNodeByIdAsync(frameInfo.id);
 
-    if (!frame || frame.type !== 'FRAME') {
+    if (!isExportableNode(frame)) {
       frameAnalysis.push({
         frameInfo: frameInfo,
         strategy: 'skip',
-        reason: 'Frame not found or invalid type'
+        reason: 'Node not found or not exportable'
       });
       continue;
     }
@@ -1028,13 +2425,29 @@ async function performVectorExport(orderedFrames, frameOrder, selectedFrameIds,
     const layerAnalysis = await analyzeFrameLayers(frame);
     const decision = determineExportStrategy([], layerAnalysis);
 
+    // Per-frame choice from the export list (or the rasterized default) beats the analysis
+    const forcedStrategy = frameStrategies[frameInfo.id] || defaultStrategy;
+    const hasRasterLayers = forcedStrategy
+      ? forcedStrategy !== 'vector'
+      : layerAnalysis && layerAnalysis.rasterLayers > 0;
+    const allRaster = forcedStrategy === 'raster' ||
+                      (!forcedStrategy && layerAnalysis && layerAnalysis.vectorLayers === 0);
+
+    // Segments are worked out now so the UI knows, before the first frame arrives,
+    // whether it has layered pages to composite
+    const segments = hasRasterLayers && !allRaster ? buildFrameSegments(frame) : null;
+
     frameAnalysis.push({
       frameInfo: frameInfo,
       frame: frame,
       layerAnalysis: layerAnalysis,
       strategy: decision.strategy,
       reason: decision.reason,
-      stats: decision.stats
+      stats: decision.stats,
+      forcedStrategy: forcedStrategy,
+      hasRasterLayers: hasRasterLayers,
+      segments: segments,
+      layered: segments !== null && segments.some(segment => segment.type === 'raster')
     });
 
     console.log(`Frame "${frameInfo.name}":`);
@@ -1045,203 +2458,248 @@ async function performVectorExport(orderedFrames, frameOrder, selectedFrameIds,
     }
   }
 
-  // Phase 2: Export based on strategy (PDF or PNG)
-  console.log('\n--- PHASE 2: Export ---');
+  // Phase 2: Export each frame and stream it to the UI, which appends it to the document
+  // and acknowledges it. Bleed content and accessibility structure are collected per frame
+  // so nothing is kept here once a frame is posted.
+  console.log('\n--- PHASE 2: Export & Stream ---');
 
-  let totalVectorLayers = 0;
-  let totalRasterLayers = 0;
-
-  for (let i = 0; i < frameAnalysis.length; i++) {
-    const analysis = frameAnalysis[i];
-    const frameInfo = analysis.frameInfo;
+  const getByteLength = (value) => {
+    if (!value) return 0;
+    if (typeof value.byteLength === 'number') return value.byteLength;
+    if (typeof value.length === 'number') return value.length;
+    return 0;
+  };
 
-    if (analysis.strategy === 'skip') {
-      exportResults.push({
-        id: frameInfo.id,
-        name: frameInfo.name,
-        width: frameInfo.width,
-        height: frameInfo.height,
-        error: analysis.reason,
-        skipped: true
-      });
-      continue;
+  const estimateExportBytes = (result) => {
+    let total = 0;
+    total += getByteLength(result.pdfData);
+    total += getByteLength(result.pngData);
+    if (result.bleed && result.bleed.overflow) {
+      total += getByteLength(result.bleed.overflow.pdfData);
     }
+    if (result.segments) {
+      for (const segment of result.segments) {
+        total += getByteLength(segment.pdfData);
+        total += getByteLength(segment.pngData);
+      }
+    }
+    return total;
+  };
 
-    figma.ui.postMessage({
-      type: 'vector-export-progress',
-      message: `Exporting ${i + 1}/${orderedFrames.length}: ${frameInfo.name}`,
-      current: i + 1,
-      total: orderedFrames.length,
-      phase: 'export',
-      strategy: analysis.strategy
-    });
-
-    const frame = analysis.frame;
+  const framesToExport = frameAnalysis.filter(analysis => analysis.strategy !== 'skip').length;
+  resetMergeWindow();
+  figma.ui.postMessage({
+    type: 'merge-vector-pdfs-start',
+    totalFrames: framesToExport,
+    layered: frameAnalysis.some(analysis => analysis.layered)
+  });
 
-    // Count layer stats
-    if (analysis.stats) {
-      totalVectorLayers += analysis.stats.vectorLayers || 0;
-      totalRasterLayers += analysis.stats.rasterLayers || 0;
-    }
+  const exportedFrameIds = [];
+  const failedExports = [];
+  let totalVectorLayers = 0;
+  let totalRasterLayers = 0;
+  let vectorCount = 0;
+  let pngCount = 0;
+  let vectorSegments = 0;
+  let pngSegments = 0;
 
-    const hasRasterLayers = analysis.layerAnalysis && analysis.layerAnalysis.rasterLayers > 0;
+  try {
+    for (let i = 0; i < frameAnalysis.length; i++) {
+      if (exportCancelRequested) {
+        reportExportCancelled(i, orderedFrames.length);
+        return;
+      }
 
-    if (hasRasterLayers) {
-      console.log(`🧩 Layered export: "${frameInfo.name}" (${analysis.reason})`);
+      const analysis = frameAnalysis[i];
+      const frameInfo = analysis.frameInfo;
 
-      if (analysis.layerAnalysis && analysis.layerAnalysis.vectorLayers === 0) {
-        console.log(`📷 PNG Export: "${frameInfo.name}" (all raster layers)`);
-        try {
-          const pngData = await frame.exportAsync({
-            format: 'PNG',
-            constraint: { type: 'SCALE', value: pngFallbackScale }
-          });
-          exportResults.push({
-            id: frameInfo.id,
-            name: frameInfo.name,
-            width: frameInfo.width,
-            height: frameInfo.height,
-            pngData: pngData,
-            isPng: true,
-            reason: 'All layers rasterized',
-            layerStats: analysis.stats
-          });
-          console.log(`✓ PNG: ${pngData.length} bytes`);
-        } catch (error) {
-          console.error(`✗ PNG export failed:`, error);
-          exportResults.push({
-            id: frameInfo.id,
-            name: frameInfo.name,
-            width: frameInfo.width,
-            height: frameInfo.height,
-            error: error.message,
-            skipped: true
-          });
-        }
+      if (analysis.strategy === 'skip') {
+        failedExports.push({
+          id: frameInfo.id,
+          name: frameInfo.name,
+          width: frameInfo.width,
+          height: frameInfo.height,
+          error: analysis.reason,
+          skipped: true
+        });
         continue;
       }
 
-      const segments = buildFrameSegments(frame);
-      const hasRasterSegments = segments.some(segment => segment.type === 'raster');
+      figma.ui.postMessage({
+        type: 'vector-export-progress',
+        message: `Exporting ${i + 1}/${orderedFrames.length}: ${frameInfo.name}`,
+        current: i + 1,
+        total: orderedFrames.length,
+        phase: 'export',
+        strategy: analysis.strategy
+      });
 
-      if (!hasRasterSegments) {
-        console.log(`📄 Vector PDF Export: "${frameInfo.name}" (no raster segments detected)`);
-        try {
-          const pdfData = await frame.exportAsync({ format: 'PDF' });
-          exportResults.push({
-            id: frameInfo.id,
-            name: frameInfo.name,
-            width: frameInfo.width,
-            height: frameInfo.height,
-            pdfData: pdfData,
-            isPng: false,
-            layerStats: analysis.stats
-          });
-          console.log(`✓ Vector PDF: ${pdfData.length} bytes`);
-        } catch (error) {
-          console.error(`✗ Vector PDF export failed, trying PNG fallback:`, error);
-          try {
-            const pngData = await frame.exportAsync({
-              format: 'PNG',
-              constraint: { type: 'SCALE', value: pngFallbackScale }
-            });
-            exportResults.push({
-              id: frameInfo.id,
-              name: frameInfo.name,
-              width: frameInfo.width,
-              height: frameInfo.height,
-              pngData: pngData,
-              isPng: true,
-              reason: `PDF export failed: ${error.message}`,
-              layerStats: analysis.stats
-            });
-            console.log(`✓ PNG fallback: ${pngData.length} bytes`);
-          } catch (pngError) {
-            console.error(`✗ PNG fallback also failed:`, pngError);
-            exportResults.push({
-              id: frameInfo.id,
-              name: frameInfo.name,
-              width: frameInfo.width,
-              height: frameInfo.height,
-              error: `Both PDF and PNG failed: ${error.message}`,
-              skipped: true
-            });
-          }
-        }
+      // Count layer stats
+      if (analysis.stats) {
+        totalVectorLayers += analysis.stats.vectorLayers || 0;
+        totalRasterLayers += analysis.stats.rasterLayers || 0;
+      }
+
+      const result = await exportFrameForMerge(analysis, pngFallbackScale);
+      if (!result) {
+        reportExportCancelled(i, orderedFrames.length);
+        return;
+      }
+      if (result.skipped) {
+        failedExports.push(result);
         continue;
       }
 
-      const nodes = collectAllNodes(frame);
-      const state = captureNodeState(nodes);
-      const segmentExports = [];
-      const hasFrameBackground = ('fills' in frame && hasVisiblePaints(frame.fills)) ||
-                                 ('strokes' in frame && hasVisiblePaints(frame.strokes));
+      // Bleed content for print mode
+      if (printOptions && printOptions.bleed > 0) {
+        result.bleed = await exportFrameBleed(analysis.frame);
+        console.log(`✓ Bleed for "${result.name}": ${result.bleed.fill ? 'fill' : 'no fill'}, ${result.bleed.overflow ? 'overflowing layers' : 'no overflow'}`);
+      }
 
-      try {
-        if (hasFrameBackground) {
-          applySegmentState(frame, nodes, [frame], state);
-          const bgPdf = await frame.exportAsync({ format: 'PDF' });
-          segmentExports.push({
-            type: 'vector',
-            pdfData: bgPdf,
-            reason: 'frame background'
-          });
-          console.log(`✓ Background vector segment: ${bgPdf.length} bytes`);
+      // Reading order, headings and alt text for tagged output
+      if (tagged) {
+        result.structure = await collectFrameStructure(analysis.frame);
+        console.log(`✓ Structure for "${result.name}": ${result.structure.length} elements`);
+      }
+
+      if (result.isPng) {
+        pngCount++;
+      } else if (result.pdfData) {
+        vectorCount++;
+      }
+      for (const segment of result.segments || []) {
+        if (segment.type === 'png') {
+          pngSegments++;
+        } else if (segment.type === 'vector') {
+          vectorSegments++;
         }
+      }
 
-        for (let s = 0; s < segments.length; s++) {
-          const segment = segments[s];
-          applySegmentState(frame, nodes, segment.nodes, state);
+      if (exportCancelRequested) {
+        reportExportCancelled(i, orderedFrames.length);
+        return;
+      }
 
-          if (segment.type === 'raster') {
-            const pngData = await frame.exportAsync({
-              format: 'PNG',
-              constraint: { type: 'SCALE', value: pngFallbackScale }
-            });
-            segmentExports.push({
-              type: 'png',
-              pngData: pngData
-            });
-            console.log(`✓ Raster segment ${s + 1}/${segments.length}: ${pngData.length} bytes`);
-          } else {
-            const pdfData = await frame.exportAsync({ format: 'PDF' });
-            segmentExports.push({
-              type: 'vector',
-              pdfData: pdfData
-            });
-            console.log(`✓ Vector segment ${s + 1}/${segments.length}: ${pdfData.length} bytes`);
-          }
-        }
+      postMergeFrame({
+        type: 'merge-vector-pdfs-frame',
+        frame: result,
+        index: exportedFrameIds.length + 1,
+        total: framesToExport
+      }, result.id, estimateExportBytes(result));
+      exportedFrameIds.push(result.id);
+
+      // Hold off exporting the next frame until the UI has caught up
+      await waitForMergeWindow();
+    }
+  } finally {
+    resetMergeWindow();
+  }
+
+  if (exportCancelRequested) {
+    reportExportCancelled(frameAnalysis.length, orderedFrames.length);
+    return;
+  }
+
+  // Summary
+  console.log('\n═══════════════════════════════════════════════════');
+  console.log('HYBRID EXPORT SUMMARY:');
+  console.log(`  Total pages: ${orderedFrames.length}`);
+  console.log(`  Pure vector PDFs: ${vectorCount}`);
+  console.log(`  High-quality PNGs: ${pngCount} (@ ${pngFallbackScale}x)`);
+  if (vectorSegments > 0 || pngSegments > 0) {
+    console.log(`  Vector segments: ${vectorSegments}`);
+    console.log(`  Raster segments: ${pngSegments}`);
+  }
+  console.log(`  Failed: ${failedExports.length}`);
+  console.log(`  Total layers kept as vector: ${totalVectorLayers}`);
+  console.log(`  Total layers rasterized: ${totalRasterLayers}`);
+  console.log('═══════════════════════════════════════════════════\n');
+
+  if (exportedFrameIds.length === 0) {
+    figma.ui.postMessage({
+      type: 'error',
+      message: 'No frames could be exported. Try using Rasterized mode.'
+    });
+    return;
+  }
+
+  // Resolve connections against the exported pages
+  const relevantConnections = resolveConnectionsForExport(exportedFrameIds);
+
+  console.log(`Streamed ${exportedFrameIds.length} exports to the UI (${vectorCount} vector, ${pngCount} PNG)`);
+
+  figma.ui.postMessage({
+    type: 'merge-vector-pdfs-end',
+    connections: relevantConnections,
+    frameOrder: frameOrder,
+    failedFrames: failedExports,
+    summary: {
+      total: orderedFrames.length,
+      vector: vectorCount,
+      png: pngCount,
+      vectorSegments: vectorSegments,
+      rasterSegments: pngSegments,
+      failed: failedExports.length,
+      vectorLayers: totalVectorLayers,
+      rasterLayers: totalRasterLayers,
+      quality: pngFallbackScale
+    }
+  });
+}
 
-        exportResults.push({
+// Export one analyzed frame as a vector PDF, a PNG or layered segments, falling back to PNG
+// when the PDF export fails. Returns the frame's export record (marked skipped on failure),
+// or null when the export was cancelled between segments.
+async function exportFrameForMerge(analysis, pngFallbackScale) {
+  const frameInfo = analysis.frameInfo;
+  const frame = analysis.frame;
+  const forcedStrategy = analysis.forcedStrategy;
+  let result = null;
+
+  if (analysis.hasRasterLayers) {
+    console.log(`🧩 Layered export: "${frameInfo.name}" (${forcedStrategy ? 'forced ' + forcedStrategy : analysis.reason})`);
+
+    if (forcedStrategy === 'raster' ||
+        (!forcedStrategy && analysis.layerAnalysis && analysis.layerAnalysis.vectorLayers === 0)) {
+      console.log(`📷 PNG Export: "${frameInfo.name}" (${forcedStrategy ? 'forced raster' : 'all raster layers'})`);
+      try {
+        const pngData = await frame.exportAsync({
+          format: 'PNG',
+          constraint: { type: 'SCALE', value: pngFallbackScale }
+        });
+        result = {
           id: frameInfo.id,
           name: frameInfo.name,
           width: frameInfo.width,
           height: frameInfo.height,
-          segments: segmentExports,
+          pngData: pngData,
+          textRuns: collectFrameTextRuns(frame),
+          isPng: true,
+          reason: forcedStrategy ? 'Forced raster' : 'All layers rasterized',
           layerStats: analysis.stats
-        });
+        };
+        console.log(`✓ PNG: ${pngData.length} bytes`);
       } catch (error) {
-        console.error(`✗ Layered export failed:`, error);
-        exportResults.push({
+        console.error(`✗ PNG export failed:`, error);
+        result = {
           id: frameInfo.id,
           name: frameInfo.name,
           width: frameInfo.width,
           height: frameInfo.height,
-          error: `Layered export failed: ${error.message}`,
+          error: error.message,
           skipped: true
-        });
-      } finally {
-        restoreNodeState(nodes, state);
+        };
       }
-    } else {
-      // Export as vector PDF
-      console.log(`📄 Vector PDF Export: "${frameInfo.name}" (${analysis.reason})`);
+      return result;
+    }
 
+    const segments = analysis.segments;
+
+    if (!analysis.layered) {
+      console.log(`📄 Vector PDF Export: "${frameInfo.name}" (no raster segments detected)`);
       try {
         const pdfData = await frame.exportAsync({ format: 'PDF' });
-
-        exportResults.push({
+        result = {
           id: frameInfo.id,
           name: frameInfo.name,
           width: frameInfo.width,
@@ -1249,183 +2707,183 @@ async function performVectorExport(orderedFrames, frameOrder, selectedFrameIds,
           pdfData: pdfData,
           isPng: false,
           layerStats: analysis.stats
-        });
-
+        };
         console.log(`✓ Vector PDF: ${pdfData.length} bytes`);
-
       } catch (error) {
         console.error(`✗ Vector PDF export failed, trying PNG fallback:`, error);
-
         try {
           const pngData = await frame.exportAsync({
             format: 'PNG',
             constraint: { type: 'SCALE', value: pngFallbackScale }
           });
-
-          exportResults.push({
+          result = {
             id: frameInfo.id,
             name: frameInfo.name,
             width: frameInfo.width,
             height: frameInfo.height,
             pngData: pngData,
+            textRuns: collectFrameTextRuns(frame),
             isPng: true,
             reason: `PDF export failed: ${error.message}`,
             layerStats: analysis.stats
-          });
-
+          };
           console.log(`✓ PNG fallback: ${pngData.length} bytes`);
         } catch (pngError) {
           console.error(`✗ PNG fallback also failed:`, pngError);
-          exportResults.push({
+          result = {
             id: frameInfo.id,
             name: frameInfo.name,
             width: frameInfo.width,
             height: frameInfo.height,
             error: `Both PDF and PNG failed: ${error.message}`,
             skipped: true
-          });
+          };
         }
       }
+      return result;
     }
-  }
 
-  // Summary
-  const successfulExports = exportResults.filter(r => !r.skipped);
-  const pngExports = exportResults.filter(r => r.isPng);
-  const vectorExports = exportResults.filter(r => r.pdfData && !r.isPng);
-  let pngSegments = 0;
-  let vectorSegments = 0;
-  for (const result of exportResults) {
-    if (result.segments) {
-      for (const segment of result.segments) {
-        if (segment.type === 'png') {
-          pngSegments++;
-        } else if (segment.type === 'vector') {
-          vectorSegments++;
-        }
-      }
-    }
-  }
-  const failedExports = exportResults.filter(r => r.skipped);
+    const segmentExports = [];
+    const hasFrameBackground = ('fills' in frame && hasVisiblePaints(frame.fills)) ||
+                               ('strokes' in frame && hasVisiblePaints(frame.strokes));
+    let workspace = null;
 
-  console.log('\n═══════════════════════════════════════════════════');
-  console.log('HYBRID EXPORT SUMMARY:');
-  console.log(`  Total pages: ${orderedFrames.length}`);
-  console.log(`  Pure vector PDFs: ${vectorExports.length}`);
-  console.log(`  High-quality PNGs: ${pngExports.length} (@ ${pngFallbackScale}x)`);
-  if (vectorSegments > 0 || pngSegments > 0) {
-    console.log(`  Vector segments: ${vectorSegments}`);
-    console.log(`  Raster segments: ${pngSegments}`);
-  }
-  console.log(`  Failed: ${failedExports.length}`);
-  console.log(`  Total layers kept as vector: ${totalVectorLayers}`);
-  console.log(`  Total layers rasterized: ${totalRasterLayers}`);
-  console.log('═══════════════════════════════════════════════════\n');
-
-  if (successfulExports.length === 0) {
-    figma.ui.postMessage({
-      type: 'error',
-      message: 'No frames could be exported. Try using Rasterized mode.'
-    });
-    return;
-  }
+    try {
+      workspace = beginLayeredWorkspace(frame);
+      const { target, nodes, state } = workspace;
+      const workSegments = workspace.cloned ? buildFrameSegments(target) : segments;
+
+      if (hasFrameBackground) {
+        applySegmentState(target, nodes, [target], state);
+        const bgPdf = await target.exportAsync({ format: 'PDF' });
+        segmentExports.push({
+          type: 'vector',
+          pdfData: bgPdf,
+          reason: 'frame background'
+        });
+        console.log(`✓ Background vector segment: ${bgPdf.length} bytes`);
+      }
 
-  // Filter connections
-  const exportedFrameIds = successfulExports.map(b => b.id);
-  const relevantConnections = connections.filter(conn =>
-    exportedFrameIds.includes(conn.fromFrameId) &&
-    (conn.type === 'external' || exportedFrameIds.includes(conn.toFrameId))
-  );
+      for (let s = 0; s < workSegments.length; s++) {
+        if (exportCancelRequested) {
+          // Returning from the try still restores the layers below
+          return null;
+        }
 
-  console.log(`Sending ${successfulExports.length} exports to MuPDF.js (${vectorExports.length} vector, ${pngExports.length} PNG)`);
-
-  const summary = {
-    total: orderedFrames.length,
-    vector: vectorExports.length,
-    png: pngExports.length,
-    vectorSegments: vectorSegments,
-    rasterSegments: pngSegments,
-    failed: failedExports.length,
-    vectorLayers: totalVectorLayers,
-    rasterLayers: totalRasterLayers,
-    quality: pngFallbackScale
-  };
+        const segment = workSegments[s];
+        applySegmentState(target, nodes, segment.nodes, state);
 
-  const getByteLength = (value) => {
-    if (!value) return 0;
-    if (typeof value.byteLength === 'number') return value.byteLength;
-    if (typeof value.length === 'number') return value.length;
-    return 0;
-  };
+        if (segment.type === 'raster') {
+          // Only the segment's own area is rendered when the copy can be clipped to it;
+          // otherwise the PNG covers the whole frame and bounds is left out
+          const bounds = workspace.wrapper ? segment.bounds : null;
+          const pngData = bounds
+            ? await exportWorkspaceArea(workspace, bounds, pngFallbackScale)
+            : await target.exportAsync({
+              format: 'PNG',
+              constraint: { type: 'SCALE', value: pngFallbackScale }
+            });
+          segmentExports.push({
+            type: 'png',
+            pngData: pngData,
+            bounds: bounds,
+            textRuns: collectTextRuns(segment.nodes, target.id)
+          });
+          console.log(`✓ Raster segment ${s + 1}/${workSegments.length}: ${pngData.length} bytes`);
+        } else {
+          const pdfData = await target.exportAsync({ format: 'PDF' });
+          segmentExports.push({
+            type: 'vector',
+            pdfData: pdfData
+          });
+          console.log(`✓ Vector segment ${s + 1}/${workSegments.length}: ${pdfData.length} bytes`);
+        }
+      }
 
-  const estimateExportBytes = (result) => {
-    let total = 0;
-    total += getByteLength(result.pdfData);
-    total += getByteLength(result.pngData);
-    if (result.segments) {
-      for (const segment of result.segments) {
-        total += getByteLength(segment.pdfData);
-        total += getByteLength(segment.pngData);
+      result = {
+        id: frameInfo.id,
+        name: frameInfo.name,
+        width: frameInfo.width,
+        height: frameInfo.height,
+        segments: segmentExports,
+        layerStats: analysis.stats
+      };
+    } catch (error) {
+      console.error(`✗ Layered export failed:`, error);
+      result = {
+        id: frameInfo.id,
+        name: frameInfo.name,
+        width: frameInfo.width,
+        height: frameInfo.height,
+        error: `Layered export failed: ${error.message}`,
+        skipped: true
+      };
+    } finally {
+      if (workspace) {
+        try {
+          endLayeredWorkspace(workspace);
+        } catch (restoreError) {
+          // The journal is kept, so the next launch restores the layers
+          console.error(`✗ Could not restore "${frameInfo.name}" after layered export:`, restoreError);
+        }
       }
     }
-    return total;
-  };
+  } else {
+    // Export as vector PDF
+    console.log(`📄 Vector PDF Export: "${frameInfo.name}" (${forcedStrategy ? 'forced vector' : analysis.reason})`);
 
-  const MAX_CHUNK_BYTES = 20 * 1024 * 1024;
-  const exportChunks = [];
-  let currentChunk = [];
-  let currentBytes = 0;
-
-  for (const result of successfulExports) {
-    const size = estimateExportBytes(result);
-    if (currentChunk.length > 0 && currentBytes + size > MAX_CHUNK_BYTES) {
-      exportChunks.push(currentChunk);
-      currentChunk = [result];
-      currentBytes = size;
-    } else {
-      currentChunk.push(result);
-      currentBytes += size;
-    }
-  }
+    try {
+      const pdfData = await frame.exportAsync({ format: 'PDF' });
 
-  if (currentChunk.length > 0) {
-    exportChunks.push(currentChunk);
-  }
+      result = {
+        id: frameInfo.id,
+        name: frameInfo.name,
+        width: frameInfo.width,
+        height: frameInfo.height,
+        pdfData: pdfData,
+        isPng: false,
+        layerStats: analysis.stats
+      };
 
-  if (exportChunks.length <= 1) {
-    figma.ui.postMessage({
-      type: 'merge-vector-pdfs',
-      pdfBuffers: successfulExports,
-      connections: relevantConnections,
-      frameOrder: frameOrder,
-      failedFrames: failedExports,
-      summary: summary
-    });
-    return;
-  }
+      console.log(`✓ Vector PDF: ${pdfData.length} bytes`);
 
-  figma.ui.postMessage({
-    type: 'merge-vector-pdfs-start',
-    totalChunks: exportChunks.length,
-    totalBuffers: successfulExports.length,
-    connections: relevantConnections,
-    frameOrder: frameOrder,
-    failedFrames: failedExports,
-    summary: summary
-  });
+    } catch (error) {
+      console.error(`✗ Vector PDF export failed, trying PNG fallback:`, error);
 
-  for (let i = 0; i < exportChunks.length; i++) {
-    figma.ui.postMessage({
-      type: 'merge-vector-pdfs-chunk',
-      chunkIndex: i + 1,
-      totalChunks: exportChunks.length,
-      pdfBuffers: exportChunks[i]
-    });
+      try {
+        const pngData = await frame.exportAsync({
+          format: 'PNG',
+          constraint: { type: 'SCALE', value: pngFallbackScale }
+        });
+
+        result = {
+          id: frameInfo.id,
+          name: frameInfo.name,
+          width: frameInfo.width,
+          height: frameInfo.height,
+          pngData: pngData,
+          textRuns: collectFrameTextRuns(frame),
+          isPng: true,
+          reason: `PDF export failed: ${error.message}`,
+          layerStats: analysis.stats
+        };
+
+        console.log(`✓ PNG fallback: ${pngData.length} bytes`);
+      } catch (pngError) {
+        console.error(`✗ PNG fallback also failed:`, pngError);
+        result = {
+          id: frameInfo.id,
+          name: frameInfo.name,
+          width: frameInfo.width,
+          height: frameInfo.height,
+          error: `Both PDF and PNG failed: ${error.message}`,
+          skipped: true
+        };
+      }
+    }
   }
 
-  figma.ui.postMessage({
-    type: 'merge-vector-pdfs-end'
-  });
+  return result;
 }
 
 // Handle PNG fallback request from UI (when pdf-lib fails to parse)
@@ -1434,7 +2892,7 @@ async function handlePngFallbackRequest(frameId, frameIndex, qualityScale = 1.5)
 
   const frame = await figma.getNodeByIdAsync(frameId);
 
-  if (!frame || frame.type !== 'FRAME') {
+  if (!isExportableNode(frame)) {
     figma.ui.postMessage({
       type: 'png-fallback-result',
       frameId: frameId,
@@ -1457,6 +2915,7 @@ async function handlePngFallbackRequest(frameId, frameIndex, qualityScale = 1.5)
       frameIndex: frameIndex,
       success: true,
       pngData: pngData,
+      textRuns: collectFrameTextRuns(frame),
       width: frame.width,
       height: frame.height,
       name: frame.name
@@ -1475,15 +2934,20 @@ async function handlePngFallbackRequest(frameId, frameIndex, qualityScale = 1.5)
 }
 
 // Perform the actual raster export (extracted for reuse in batch mode)
-async function performExport(orderedFrames, frameOrder, selectedFrameIds, qualityScale, qualityString, batchInfo = null, exportType = 'raster') {
+async function performExport(orderedFrames, frameOrder, selectedFrameIds, qualityScale, qualityString, batchInfo = null, exportType = 'raster', tagged = false) {
   console.log('Exporting PDF with quality scale:', qualityScale, 'quality string:', qualityString, 'type:', exportType);
 
   const frameImages = [];
   for (let i = 0; i < orderedFrames.length; i++) {
+    if (exportCancelRequested) {
+      reportExportCancelled(i, orderedFrames.length);
+      return;
+    }
+
     const frameInfo = orderedFrames[i];
     const frame = await figma.getNodeByIdAsync(frameInfo.id);
 
-    if (frame && frame.type === 'FRAME') {
+    if (isExportableNode(frame)) {
       const progressMsg = batchInfo
         ? `Exporting batch ${batchInfo.current}/${batchInfo.total}: frame ${i + 1}/${orderedFrames.length}`
         : `Exporting frame ${i + 1}/${orderedFrames.length}`;
@@ -1500,14 +2964,19 @@ async function performExport(orderedFrames, frameOrder, selectedFrameIds, qualit
         name: frameInfo.name,
         width: frameInfo.width,
         height: frameInfo.height,
-        imageData: imageData
+        imageData: imageData,
+        textRuns: collectFrameTextRuns(frame),
+        structure: tagged ? await collectFrameStructure(frame) : null
       });
     }
   }
 
-  const relevantConnections = connections.filter(conn =>
-    selectedFrameIds.includes(conn.fromFrameId) && (conn.type === 'external' || selectedFrameIds.includes(conn.toFrameId))
-  );
+  if (exportCancelRequested) {
+    reportExportCancelled(orderedFrames.length, orderedFrames.length);
+    return;
+  }
+
+  const relevantConnections = resolveConnectionsForExport(frameImages.map(frame => frame.id));
 
   figma.ui.postMessage({
     type: 'generate-pdf',
@@ -1519,8 +2988,5 @@ async function performExport(orderedFrames, frameOrder, selectedFrameIds, qualit
   });
 }
 
-// Initialize - start with empty list
-figma.ui.postMessage({
-  type: 'plugin-ready',
-  message: 'Select frames in Figma to add them to the export list'
-});
+// Initialize - restore the last export setup for this document
+initializePlugin();
@@ -0,0 +1,45 @@
+// Builds dist/ui.html: ui.html with the PDF engines inlined at the
+// <!-- @pdf-engines --> marker, so the plugin needs no network. pdf-lib and jsPDF
+// go in as plain scripts (pdf-lib's also readable as #pdf-lib-source for the assembly
+// worker).
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MARKER = '<!-- @pdf-engines -->';
+
+// Read by path: the packages' "exports" maps don't list their dist files
+function readPackageFile(file) {
+  return fs.readFileSync(path.join(ROOT, 'node_modules', file), 'utf8');
+}
+
+// A script element ends at the first "</script", wherever it appears
+function toScriptText(source, name) {
+  if (/<\/script/i.test(source)) {
+    throw new Error(`${name} contains "</script" and can't be inlined`);
+  }
+  return source;
+}
+
+function buildEngineScripts() {
+  return [
+    `<script id="pdf-lib-source">${toScriptText(readPackageFile('pdf-lib/dist/pdf-lib.min.js'), 'pdf-lib')}</script>`,
+    `<script>${toScriptText(readPackageFile('jspdf/dist/jspdf.umd.min.js'), 'jsPDF')}</script>`
+  ].join('\n');
+}
+
+function build() {
+  const html = fs.readFileSync(path.join(ROOT, 'ui.html'), 'utf8');
+  if (html.split(MARKER).length !== 2) {
+    throw new Error(`ui.html must contain ${MARKER} exactly once`);
+  }
+
+  const outDir = path.join(ROOT, 'dist');
+  fs.mkdirSync(outDir, { recursive: true });
+  const bundled = html.replace(MARKER, () => buildEngineScripts());
+  fs.writeFileSync(path.join(outDir, 'ui.html'), bundled);
+  console.log(`dist/ui.html: ${(bundled.length / 1024 / 1024).toFixed(1)}MB`);
+}
+
+build();